@@ -0,0 +1,219 @@
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+
+import { encodeCompactPayload } from "../webtop-gen.js";
+import { makeTempDir, runCli, startCli, waitForJson } from "./helpers.js";
+
+// The shape written before schemaVersion, sampledAt and named UPS targets.
+const BASELINE_PAYLOAD = {
+    memory: { totalMb: 1024, usedMb: 512, freeMb: 512 },
+    disks: [],
+    diskTempC: null,
+    updates: [
+        {
+            cpu: { perThreadPct: [70], totalUsagePct: 70, tempC: 48 },
+            network: { downloadKibps: 10, uploadKibps: 2 },
+        },
+    ],
+    ups: {
+        source: "nut",
+        status: "OB",
+        batteryChargePct: 40,
+        batteryRuntimeSec: 900,
+        loadPct: 20,
+        outputVoltageV: 230,
+    },
+};
+
+function currentPayload(sampledAt) {
+    return {
+        schemaVersion: 1,
+        sampledAt,
+        memory: { totalMb: 2048 },
+        disks: [],
+        diskTempC: null,
+        cpuFreq: [],
+        updates: [
+            {
+                cpu: { perThreadPct: [20, 30], totalUsagePct: 25, tempC: 61 },
+                network: { downloadKibps: 5.5, uploadKibps: 1.25 },
+            },
+        ],
+        upsDevices: [
+            {
+                source: "nut",
+                name: "rack",
+                server: "10.0.0.2:3493",
+                status: "OL",
+                batteryChargePct: 90,
+            },
+        ],
+    };
+}
+
+test("merges baseline-format and current payloads", async (t) => {
+    const dir = await makeTempDir(t);
+    await writeFile(
+        path.join(dir, "old.json"),
+        JSON.stringify(BASELINE_PAYLOAD),
+    );
+    await writeFile(
+        path.join(dir, "new.json"),
+        JSON.stringify(currentPayload(new Date().toISOString())),
+    );
+
+    const result = await runCli(
+        ["--aggregate=old.json", "--aggregate=new.json", "--out=fleet.json"],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 0, result.stderr);
+
+    const aggregate = JSON.parse(
+        await readFile(path.join(dir, "fleet.json"), "utf8"),
+    );
+    assert.deepEqual(aggregate.fleet.hosts, {
+        total: 2,
+        ok: 2,
+        stale: 0,
+        unavailable: 0,
+    });
+    assert.deepEqual(aggregate.fleet.maxCpuUsagePct, {
+        host: "old",
+        value: 70,
+    });
+    assert.deepEqual(aggregate.fleet.maxCpuTempC, { host: "new", value: 61 });
+    assert.equal(aggregate.fleet.totalDownloadKibps, 15.5);
+    assert.deepEqual(aggregate.fleet.lowestUpsChargePct, {
+        host: "old",
+        ups: "ups",
+        value: 40,
+    });
+    // Without sampledAt the file's mtime dates the payload.
+    assert.equal(typeof aggregate.hosts.old.sampledAt, "string");
+});
+
+test("marks old and missing sources", async (t) => {
+    const dir = await makeTempDir(t);
+    await writeFile(
+        path.join(dir, "old.json"),
+        JSON.stringify(currentPayload("2020-01-01T00:00:00.000Z")),
+    );
+
+    const result = await runCli(
+        [
+            "--aggregate=stale=old.json",
+            "--aggregate=gone=missing.json",
+            "--out=fleet.json",
+        ],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 0, result.stderr);
+
+    const aggregate = JSON.parse(
+        await readFile(path.join(dir, "fleet.json"), "utf8"),
+    );
+    assert.equal(aggregate.hosts.stale.status, "stale");
+    assert.equal(aggregate.hosts.gone.status, "unavailable");
+    assert.match(aggregate.hosts.gone.error, /ENOENT/);
+    assert.equal(aggregate.fleet.lowestUpsChargePct, null);
+});
+
+test("decodes sources written with --encoding=compact", async (t) => {
+    const dir = await makeTempDir(t);
+    const payload = currentPayload(new Date().toISOString());
+    await writeFile(
+        path.join(dir, "compact.json"),
+        JSON.stringify(encodeCompactPayload(payload)),
+    );
+
+    const result = await runCli(
+        ["--aggregate=compact.json", "--out=fleet.json"],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 0, result.stderr);
+
+    const aggregate = JSON.parse(
+        await readFile(path.join(dir, "fleet.json"), "utf8"),
+    );
+    assert.deepEqual(aggregate.fleet.maxCpuUsagePct, {
+        host: "compact",
+        value: 25,
+    });
+    assert.equal(aggregate.fleet.totalUploadKibps, 1.25);
+    assert.deepEqual(aggregate.hosts.compact.payload.updates, payload.updates);
+});
+
+test("refuses redaction and encoding flags", async (t) => {
+    const dir = await makeTempDir(t);
+    for (const flag of [
+        "--public",
+        "--redact=mounts:hash",
+        "--encoding=compact",
+    ]) {
+        const result = await runCli(
+            ["--aggregate=new.json", "--out=fleet.json", flag],
+            { cwd: dir },
+        );
+        assert.equal(result.code, 1, flag);
+        assert.match(
+            result.stderr,
+            /cannot be used with --aggregate; set it on the source instances/,
+        );
+    }
+});
+
+test("refuses __proto__ as a host id", async (t) => {
+    const dir = await makeTempDir(t);
+    const result = await runCli(
+        ["--aggregate=__proto__=new.json", "--out=fleet.json"],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /"__proto__" cannot be a host id/);
+});
+
+test("SIGHUP re-reads the sources in daemon mode", async (t) => {
+    const dir = await makeTempDir(t);
+    const configPath = path.join(dir, "webtop.json");
+    const outPath = path.join(dir, "fleet.json");
+    const payload = JSON.stringify(currentPayload(new Date().toISOString()));
+    await writeFile(path.join(dir, "one.json"), payload);
+    await writeFile(path.join(dir, "two.json"), payload);
+    await writeFile(configPath, JSON.stringify({ aggregate: ["one.json"] }));
+
+    const daemon = startCli(
+        t,
+        [
+            `--config=${configPath}`,
+            "--daemon",
+            "--interval-ms=100",
+            "--out=fleet.json",
+        ],
+        { cwd: dir },
+    );
+    await waitForJson(outPath, (fleet) => fleet.hosts.one?.status === "ok");
+
+    await writeFile(
+        configPath,
+        JSON.stringify({ aggregate: ["one.json", "two.json"] }),
+    );
+    daemon.child.kill("SIGHUP");
+    const fleet = await waitForJson(
+        outPath,
+        (next) => next.hosts.two?.status === "ok",
+    );
+    assert.equal(fleet.hosts.one.status, "ok");
+    await daemon.waitForOutput(/Aggregating 2 hosts every 100ms/);
+
+    await writeFile(configPath, "{");
+    daemon.child.kill("SIGHUP");
+    await daemon.waitForOutput(
+        /Reload failed, keeping previous options/,
+        "stderr",
+    );
+    assert.equal(daemon.child.exitCode, null);
+    assert.equal(daemon.child.signalCode, null);
+    await waitForJson(outPath, (next) => Object.keys(next.hosts).length === 2);
+});
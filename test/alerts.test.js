@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { readFile, writeFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import path from "node:path";
+import test from "node:test";
+
+import { createCollector } from "../webtop-gen.js";
+import {
+    copyFixtureHost,
+    hostOptions,
+    makeTempDir,
+    waitUntil,
+} from "./helpers.js";
+
+// The fixture's CPU reads 47C from coretemp; writing the probe files moves
+// it between samples.
+async function setCpuTemp(root, celsius) {
+    const millidegrees = `${celsius * 1000}\n`;
+    await writeFile(
+        path.join(root, "sys/class/hwmon/hwmon0/temp1_input"),
+        millidegrees,
+    );
+    await writeFile(
+        path.join(root, "sys/class/thermal/thermal_zone0/temp"),
+        millidegrees,
+    );
+}
+
+async function startWebhook(t) {
+    const received = [];
+    const server = createServer((req, res) => {
+        let body = "";
+        req.setEncoding("utf8");
+        req.on("data", (chunk) => {
+            body += chunk;
+        });
+        req.on("end", () => {
+            received.push({ headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(204).end();
+        });
+    });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+test("hooks run when an alert fires and when it resolves", async (t) => {
+    const root = await copyFixtureHost(t);
+    const dir = await makeTempDir(t);
+    const logPath = path.join(dir, "alerts.log");
+    const webhook = await startWebhook(t);
+
+    const collector = await createCollector({
+        ...hostOptions(root),
+        alertRules: ["cpu-hot: cpu.tempC > 60 for 2 ticks"],
+        alertCommand: `echo "$WEBTOP_ALERT_NAME $WEBTOP_ALERT_STATE $WEBTOP_ALERT_VALUE" >> "${logPath}"`,
+        alertWebhook: webhook.url,
+    });
+    t.after(() => collector.close());
+    const state = async () => (await collector.snapshot()).alerts[0];
+
+    await collector.sample();
+    assert.equal((await state()).state, "ok");
+
+    await setCpuTemp(root, 85);
+    await collector.sample();
+    assert.equal((await state()).state, "pending");
+    await collector.sample();
+    const firing = await state();
+    assert.equal(firing.state, "firing");
+    assert.equal(firing.value, 85);
+
+    await waitUntil(() => webhook.received.length === 1, "the firing webhook");
+    assert.match(webhook.received[0].headers["content-type"], /json/);
+    assert.deepEqual(webhook.received[0].body, { alert: firing });
+
+    await setCpuTemp(root, 50);
+    await collector.sample();
+    assert.equal((await state()).state, "resolved");
+    await waitUntil(
+        () => webhook.received.length === 2,
+        "the resolved webhook",
+    );
+    assert.equal(webhook.received[1].body.alert.state, "resolved");
+
+    const log = await waitUntil(async () => {
+        const text = await readFile(logPath, "utf8").catch(() => "");
+        return text.split("\n").length > 2 && text;
+    }, "both command runs");
+    assert.equal(log, "cpu-hot firing 85\ncpu-hot resolved 50\n");
+});
+
+test("a failing webhook is logged and sampling goes on", async (t) => {
+    const root = await copyFixtureHost(t);
+    const server = createServer((req, res) => {
+        req.resume();
+        req.on("end", () => res.writeHead(503).end());
+    });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    t.after(() => server.close());
+
+    const errors = [];
+    t.mock.method(console, "error", (message) => errors.push(message));
+    const collector = await createCollector({
+        ...hostOptions(root),
+        alertRules: ["warm: cpu.tempC > 40"],
+        alertWebhook: `http://127.0.0.1:${server.address().port}/`,
+    });
+    t.after(() => collector.close());
+
+    await collector.sample();
+    await waitUntil(() => errors.length > 0, "the webhook error");
+    assert.match(errors[0], /^Alert warm \(firing\): .*503/);
+    const update = await collector.sample();
+    assert.equal(update.cpu.tempC, 47);
+});
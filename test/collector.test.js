@@ -0,0 +1,341 @@
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+
+import {
+    PAYLOAD_SCHEMA,
+    createCollector,
+    createCpuTempReader,
+    validateSchema,
+} from "../webtop-gen.js";
+import {
+    FIXTURE_HOST,
+    copyFixtureHost,
+    hostArgs,
+    hostOptions,
+    makeTempDir,
+    runCli,
+} from "./helpers.js";
+
+test("reads every section through the configured roots", async (t) => {
+    const dir = await makeTempDir(t);
+    const result = await runCli(
+        [
+            ...hostArgs(),
+            "--updates=1",
+            "--interval-ms=100",
+            "--top-procs=2",
+            "--top-cgroups=2",
+            "--temps",
+            "--out=stats.json",
+        ],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 0, result.stderr);
+    const payload = JSON.parse(
+        await readFile(path.join(dir, "stats.json"), "utf8"),
+    );
+
+    assert.deepEqual(validateSchema(PAYLOAD_SCHEMA, payload), []);
+    assert.equal(payload.memory.totalGb, 8);
+    assert.deepEqual(
+        payload.disks.map(({ name, mountPoint, fsType, device }) => ({
+            name,
+            mountPoint,
+            fsType,
+            device,
+        })),
+        [
+            {
+                name: "root",
+                mountPoint: "/",
+                fsType: "ext4",
+                device: "/dev/sda1",
+            },
+        ],
+    );
+    assert.equal(payload.diskTempC, 38.9);
+    assert.deepEqual(payload.cpuFreq, [
+        { minMhz: 800, maxMhz: 3600, governor: "schedutil" },
+        { minMhz: null, maxMhz: null, governor: null },
+    ]);
+
+    const [update] = payload.updates;
+    assert.equal(update.cpu.tempC, 47);
+    assert.deepEqual(update.cpu.loadAvg, [0.52, 0.41, 0.3]);
+    // cpu0 has cpufreq, cpu1 falls back to /proc/cpuinfo.
+    assert.deepEqual(update.cpu.perThreadMhz, [2400, 1800]);
+    assert.deepEqual(
+        update.temps.probes.map((probe) => probe.id),
+        ["x86_pkg_temp/thermal_zone0", "coretemp/Package id 0"],
+    );
+    assert.deepEqual(
+        update.processes.byRss.map(({ pid, comm, user, cmdline }) => ({
+            pid,
+            comm,
+            user,
+            cmdline,
+        })),
+        [
+            {
+                pid: 42,
+                comm: "node (worker)",
+                user: "www",
+                cmdline: "node server.js",
+            },
+            {
+                pid: 1,
+                comm: "systemd",
+                user: "root",
+                cmdline: "/sbin/init splash",
+            },
+        ],
+    );
+    assert.deepEqual(
+        update.cgroups.byMemory.map(({ kind, name, memoryPct }) => ({
+            kind,
+            name,
+            memoryPct,
+        })),
+        [
+            { kind: "docker", name: "docker:3f2a9c81b0d4", memoryPct: 50 },
+            { kind: "service", name: "nginx.service", memoryPct: null },
+        ],
+    );
+    assert.deepEqual(
+        update.diskIo.map(({ device, disk }) => ({ device, disk })),
+        [
+            { device: "sda", disk: null },
+            { device: "sda1", disk: "root" },
+        ],
+    );
+});
+
+test("computes deltas between samples of the tree", async (t) => {
+    const root = await copyFixtureHost(t);
+    const collector = await createCollector({
+        ...hostOptions(root),
+        topProcs: 2,
+        topCgroups: 2,
+    });
+    t.after(() => collector.close());
+    await collector.start();
+
+    const procPath = (relPath) => path.join(root, "proc", relPath);
+    await writeFile(
+        procPath("stat"),
+        [
+            "cpu  2400 0 1000 16400 200 0 0 0 0 0",
+            "cpu0 1300 0 500 8100 100 0 0 0 0 0",
+            "cpu1 1100 0 500 8300 100 0 0 0 0 0",
+            "",
+        ].join("\n"),
+    );
+    const netDev = await readFile(procPath("net/dev"), "utf8");
+    await writeFile(
+        procPath("net/dev"),
+        netDev.replace("10485760", "20971520"),
+    );
+    // sda completes 10 reads in 50ms and 4 writes in 100ms; sda1 is idle.
+    await writeFile(
+        procPath("diskstats"),
+        (await readFile(procPath("diskstats"), "utf8")).replace(
+            "sda 1000 0 80000 500 2000 0 160000 1000",
+            "sda 1010 0 80800 550 2004 0 160400 1100",
+        ),
+    );
+    const workerStat = await readFile(procPath("42/stat"), "utf8");
+    await writeFile(
+        procPath("42/stat"),
+        workerStat.replace(" 300 100 ", " 400 150 "),
+    );
+
+    const update = await collector.sample();
+    assert.deepEqual(update.cpu.perThreadPct, [75, 25]);
+    assert.equal(update.cpu.totalUsagePct, 50);
+    assert.ok(update.network.downloadKibps > 0);
+    assert.equal(update.network.uploadKibps, 0);
+    assert.equal(update.processes.byCpu[0].pid, 42);
+    assert.ok(update.processes.byCpu[0].cpuPct > 0);
+    assert.equal(update.processes.byCpu[1].cpuPct, 0);
+    const [sda, sda1] = update.diskIo;
+    assert.equal(sda.readAwaitMs, 5);
+    assert.equal(sda.writeAwaitMs, 25);
+    assert.ok(sda.readIops > 0);
+    assert.equal(sda1.readAwaitMs, null);
+    assert.equal(sda1.writeAwaitMs, null);
+
+    const payload = await collector.snapshot();
+    assert.equal(payload.updates.length, 1);
+});
+
+test("a reload that throws leaves the collector as it was", async (t) => {
+    const dir = await makeTempDir(t);
+    await writeFile(path.join(dir, "broken-history.json"), "{");
+    const collector = await createCollector({
+        ...hostOptions(),
+        updates: 2,
+        alertRules: ["hot: cpu.tempC > 40"],
+    });
+    t.after(() => collector.close());
+    await collector.sample();
+
+    const failures = [
+        [{ history: path.join(dir, "broken-history.json") }, /not valid JSON/],
+        [{ procRoot: dir }, /does not look like procfs/],
+        [{ plugins: [path.join(dir, "missing.mjs")] }, /Could not load plugin/],
+    ];
+    for (const [change, message] of failures) {
+        await assert.rejects(
+            collector.reload({
+                ...hostOptions(),
+                updates: 5,
+                topProcs: 2,
+                ...change,
+            }),
+            message,
+        );
+    }
+
+    assert.equal(collector.options.updates, 2);
+    assert.equal(collector.options.topProcs, 0);
+    assert.equal(collector.options.procRoot, hostOptions().procRoot);
+    const update = await collector.sample();
+    assert.equal("processes" in update, false);
+    const payload = await collector.snapshot();
+    assert.equal(payload.alerts[0].state, "firing");
+    assert.equal("history" in payload, false);
+});
+
+test("createCpuTempReader reads the real host when given only an id", async (t) => {
+    // The default sensors command is looked up on PATH.
+    const originalPath = process.env.PATH;
+    process.env.PATH = `${path.join(FIXTURE_HOST, "bin")}${path.delimiter}${originalPath}`;
+    t.after(() => {
+        process.env.PATH = originalPath;
+    });
+
+    const reader = await createCpuTempReader("coretemp-isa-0000/Package id 0");
+    const reading = await reader.read();
+    assert.equal(reading.tempC, 47);
+    assert.match(reading.source, /^sensors:/);
+});
+
+// rx bytes, rx packets, rx errors, rx drops and tx bytes per interface; the
+// other /proc/net/dev columns stay zero.
+function netDev(rows) {
+    const lines = Object.entries(rows).map(
+        ([name, [rxBytes, rxPackets, rxErrors, rxDrops, txBytes]]) =>
+            `${name.padStart(8)}: ${rxBytes} ${rxPackets} ${rxErrors} ${rxDrops} 0 0 0 0 ${txBytes} 0 0 0 0 0 0 0`,
+    );
+    return [
+        "Inter-|   Receive                                                |  Transmit",
+        " face |bytes    packets errs drop fifo frame compressed multicast|bytes    packets errs drop fifo colls carrier compressed",
+        ...lines,
+        "",
+    ].join("\n");
+}
+
+async function sampleInterfaces(t, iface) {
+    const root = await copyFixtureHost(t);
+    const netDevPath = path.join(root, "proc", "net", "dev");
+    await writeFile(
+        netDevPath,
+        netDev({
+            lo: [1000, 10, 0, 0, 1000],
+            eth0: [1000, 10, 0, 2, 1000],
+            wlan0: [1000, 10, 0, 0, 1000],
+            docker0: [1000, 10, 0, 0, 1000],
+            veth12ab: [1000, 10, 0, 0, 1000],
+        }),
+    );
+    const collector = await createCollector({ ...hostOptions(root), iface });
+    t.after(() => collector.close());
+    await collector.start();
+    await writeFile(
+        netDevPath,
+        netDev({
+            lo: [9000, 20, 0, 0, 9000],
+            eth0: [103400, 110, 1, 5, 1000],
+            wlan0: [1000, 10, 0, 0, 1000],
+            docker0: [1000, 10, 0, 0, 1000],
+            veth12ab: [5000, 15, 0, 0, 1000],
+        }),
+    );
+    return collector.sample();
+}
+
+test("--iface=all reports every interface but lo and veth*", async (t) => {
+    const update = await sampleInterfaces(t, "all");
+    assert.deepEqual(
+        update.interfaces.map((entry) => entry.name),
+        ["eth0", "wlan0", "docker0"],
+    );
+    const [eth0, wlan0] = update.interfaces;
+    assert.ok(eth0.downloadKibps > 0);
+    assert.ok(eth0.rxPacketsPerSec > 0);
+    assert.equal(eth0.uploadKibps, 0);
+    // Errors and drops are counted for the tick, not since boot.
+    assert.equal(eth0.rxErrors, 1);
+    assert.equal(eth0.rxDrops, 3);
+    assert.equal(wlan0.downloadKibps, 0);
+    // The single network object still follows the default route.
+    assert.equal(update.network.downloadKibps, eth0.downloadKibps);
+});
+
+test("--iface takes a list that mixes names and globs", async (t) => {
+    const update = await sampleInterfaces(t, "lo,veth*");
+    assert.deepEqual(
+        update.interfaces.map((entry) => entry.name),
+        ["lo", "veth12ab"],
+    );
+    assert.ok(update.interfaces.every((entry) => entry.downloadKibps > 0));
+
+    const single = await sampleInterfaces(t, "wlan0");
+    assert.equal("interfaces" in single, false);
+    assert.equal(single.network.downloadKibps, 0);
+});
+
+test("--cpu-breakdown splits each tick into modes that add up to busy time", async (t) => {
+    const root = await copyFixtureHost(t);
+    const collector = await createCollector({
+        ...hostOptions(root),
+        cpuBreakdown: true,
+    });
+    t.after(() => collector.close());
+    await collector.start();
+    // cpu0 spends 500 jiffies, 350 of them busy; cpu1 only idles.
+    await writeFile(
+        path.join(root, "proc", "stat"),
+        [
+            "cpu  2150 50 1100 16600 250 20 10 20 30 0",
+            "cpu0 1150 50 600 8100 150 20 10 20 30 0",
+            "cpu1 1000 0 500 8500 100 0 0 0 0 0",
+            "",
+        ].join("\n"),
+    );
+
+    const { cpu } = await collector.sample();
+    assert.deepEqual(cpu.perThreadPct, [70, 0]);
+    assert.equal(cpu.totalUsagePct, 35);
+    assert.deepEqual(cpu.perThreadBreakdownPct[0], {
+        user: 30,
+        nice: 10,
+        system: 20,
+        iowait: 10,
+        irq: 4,
+        softirq: 2,
+        steal: 4,
+        guest: 6,
+    });
+    assert.ok(
+        Object.values(cpu.perThreadBreakdownPct[1]).every((pct) => pct === 0),
+    );
+    // iowait counts as idle and guest is already inside user.
+    const busy = ({ user, nice, system, irq, softirq, steal }) =>
+        user + nice + system + irq + softirq + steal;
+    assert.equal(busy(cpu.perThreadBreakdownPct[0]), cpu.perThreadPct[0]);
+    assert.equal(busy(cpu.breakdownPct), cpu.totalUsagePct);
+    assert.equal(cpu.breakdownPct.iowait, 5);
+});
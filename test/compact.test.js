@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { decodeCompactPayload, encodeCompactPayload } from "../webtop-gen.js";
+
+const payload = {
+    schemaVersion: 1,
+    host: { hostname: "box" },
+    updates: [
+        {
+            cpu: { usagePct: { total: 8.5 } },
+            plugins: { queue: { ratio: 48.309178743961354, depth: 3 } },
+            disks: [],
+        },
+        {
+            cpu: { usagePct: { total: 12.25 } },
+            plugins: { queue: { ratio: 1e-7, depth: null } },
+            disks: [{ name: "sdb", readBytesPerSec: 4096 }],
+        },
+    ],
+};
+
+test("round-trips updates exactly", () => {
+    const compact = encodeCompactPayload(payload);
+    assert.equal(compact.encoding, "compact");
+    assert.deepEqual(decodeCompactPayload(compact), payload);
+});
+
+test("scales short decimals and keeps long ones as they are", () => {
+    const { fields, decimals, columns, absent } =
+        encodeCompactPayload(payload).updates;
+    const column = (fieldPath) =>
+        fields.findIndex(
+            (candidate) =>
+                JSON.stringify(candidate) === JSON.stringify(fieldPath),
+        );
+
+    const total = column(["cpu", "usagePct", "total"]);
+    assert.equal(decimals[total], 2);
+    assert.deepEqual(columns[total], [850, 1225]);
+
+    const ratio = column(["plugins", "queue", "ratio"]);
+    assert.equal(decimals[ratio], null);
+    assert.deepEqual(columns[ratio], [48.309178743961354, 1e-7]);
+
+    const depth = column(["plugins", "queue", "depth"]);
+    assert.equal(decimals[depth], 0);
+    assert.deepEqual(columns[depth], [3, null]);
+
+    assert.deepEqual(absent[column(["disks", 0, "name"])], [0]);
+});
+
+test("leaves plain payloads alone", () => {
+    assert.equal(decodeCompactPayload(payload), payload);
+});
@@ -0,0 +1,389 @@
+import assert from "node:assert/strict";
+import { access, readFile, writeFile } from "node:fs/promises";
+import { request as httpRequest } from "node:http";
+import { connect } from "node:net";
+import path from "node:path";
+import test from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { brotliDecompressSync, gunzipSync } from "node:zlib";
+
+import {
+    PAYLOAD_SCHEMA,
+    startStatsServer,
+    validateSchema,
+} from "../webtop-gen.js";
+import {
+    hostArgs,
+    makeTempDir,
+    startCli,
+    waitForJson,
+    waitUntil,
+} from "./helpers.js";
+
+test("a failed SIGHUP reload keeps the previous options", async (t) => {
+    const dir = await makeTempDir(t);
+    const configPath = path.join(dir, "webtop.json");
+    const outPath = path.join(dir, "stats.json");
+    await writeFile(configPath, JSON.stringify({ updates: 2 }));
+    await writeFile(path.join(dir, "broken-history.json"), "{");
+
+    const daemon = startCli(
+        t,
+        [
+            ...hostArgs(),
+            `--config=${configPath}`,
+            "--daemon",
+            "--interval-ms=100",
+            `--out=${outPath}`,
+        ],
+        { cwd: dir },
+    );
+    await waitForJson(outPath, (payload) => payload.updates.length === 2);
+
+    await writeFile(
+        configPath,
+        JSON.stringify({
+            updates: 4,
+            "top-procs": 2,
+            history: "broken-history.json",
+        }),
+    );
+    daemon.child.kill("SIGHUP");
+    await daemon.waitForOutput(
+        /Reload failed, keeping previous options: History file .* is not valid JSON/,
+        "stderr",
+    );
+    // Only the startup resolution was logged.
+    assert.equal(daemon.output.stdout.match(/Resolved options/g).length, 1);
+
+    // Later ticks still follow the old window and sections.
+    const before = daemon.output.stdout.length;
+    await writeFile(outPath, "");
+    const payload = await waitForJson(outPath);
+    assert.equal(payload.updates.length, 2);
+    assert.equal("processes" in payload.updates[1], false);
+    assert.equal(daemon.output.stdout.length, before);
+
+    await writeFile(configPath, JSON.stringify({ updates: 3 }));
+    daemon.child.kill("SIGHUP");
+    await daemon.waitForOutput(/updates: 10 -> 3 \(config\)/);
+    await waitForJson(outPath, (next) => next.updates.length === 3);
+});
+
+function request(socketPath, requestPath, { method = "GET", headers } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = httpRequest(
+            { socketPath, path: requestPath, method, headers },
+            (res) => {
+                let body = "";
+                res.setEncoding("utf8");
+                res.on("data", (chunk) => {
+                    body += chunk;
+                });
+                res.on("end", () =>
+                    resolve({
+                        status: res.statusCode,
+                        headers: res.headers,
+                        body,
+                    }),
+                );
+            },
+        );
+        req.on("error", reject);
+        req.end();
+    });
+}
+
+// Reads server-sent events until `count` of them arrived.
+function readEvents(t, socketPath, count) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const req = httpRequest({ socketPath, path: "/events" }, (res) => {
+            let buffer = "";
+            res.setEncoding("utf8");
+            res.on("data", (chunk) => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf("\n\n")) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = {};
+                    for (const line of block.split("\n")) {
+                        const separator = line.indexOf(": ");
+                        if (separator === -1) continue;
+                        event[line.slice(0, separator)] = line.slice(
+                            separator + 2,
+                        );
+                    }
+                    events.push(event);
+                    if (events.length === count) {
+                        req.destroy();
+                        resolve({ headers: res.headers, events });
+                    }
+                }
+            });
+        });
+        req.on("error", (error) => {
+            if (events.length < count) reject(error);
+        });
+        req.end();
+        t.after(() => req.destroy());
+    });
+}
+
+async function startServer(t, args = []) {
+    const dir = await makeTempDir(t);
+    const socketPath = path.join(dir, "webtop.sock");
+    const daemon = startCli(t, [
+        ...hostArgs(),
+        "--interval-ms=100",
+        `--listen=unix:${socketPath}`,
+        ...args,
+    ]);
+    await daemon.waitForOutput(/HTTP: serving/);
+    return { daemon, socketPath };
+}
+
+const waitForPayload = (socketPath) =>
+    waitUntil(async () => {
+        const response = await request(socketPath, "/stats.json");
+        return response.status === 200 && response;
+    }, "the first payload");
+
+test("serves /stats.json with ETag, caching and CORS headers", async (t) => {
+    const { socketPath } = await startServer(t);
+    const response = await waitForPayload(socketPath);
+
+    assert.equal(response.headers["access-control-allow-origin"], "*");
+    assert.equal(response.headers["cache-control"], "no-cache");
+    assert.match(response.headers["content-type"], /^application\/json/);
+    const payload = JSON.parse(response.body);
+    assert.deepEqual(validateSchema(PAYLOAD_SCHEMA, payload), []);
+    assert.equal(payload.memory.totalGb, 8);
+
+    // A tick may land between the two requests; then try again.
+    const revalidated = await waitUntil(async () => {
+        const fresh = await request(socketPath, "/stats.json");
+        const again = await request(socketPath, "/stats.json", {
+            headers: { "If-None-Match": fresh.headers.etag },
+        });
+        return again.status === 304 && again;
+    }, "a 304 for an unchanged payload");
+    assert.equal(revalidated.body, "");
+    assert.equal(revalidated.headers["access-control-allow-origin"], "*");
+
+    const head = await request(socketPath, "/stats.json", { method: "HEAD" });
+    assert.equal(head.status, 200);
+    assert.equal(head.body, "");
+    assert.ok(Number(head.headers["content-length"]) > 0);
+});
+
+test("answers preflight, wrong methods and unknown paths", async (t) => {
+    const { socketPath } = await startServer(t);
+
+    const preflight = await request(socketPath, "/stats.json", {
+        method: "OPTIONS",
+    });
+    assert.equal(preflight.status, 204);
+    assert.equal(
+        preflight.headers["access-control-allow-methods"],
+        "GET, HEAD, OPTIONS",
+    );
+
+    const post = await request(socketPath, "/stats.json", { method: "POST" });
+    assert.equal(post.status, 405);
+    assert.equal(post.headers.allow, "GET, HEAD, OPTIONS");
+
+    const missing = await request(socketPath, "/nope");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.headers["access-control-allow-origin"], "*");
+});
+
+test("/stats.json and /metrics answer 503 until the first tick", async (t) => {
+    const { socketPath } = await startServer(t, ["--interval-ms=60000"]);
+    const response = await request(socketPath, "/stats.json");
+    assert.equal(response.status, 503);
+    assert.equal(response.headers["retry-after"], "1");
+    assert.equal(response.headers["access-control-allow-origin"], "*");
+
+    const metrics = await request(socketPath, "/metrics");
+    assert.equal(metrics.status, 503);
+    assert.equal(metrics.headers["access-control-allow-origin"], "*");
+});
+
+test("/events sends the snapshot, then numbered ticks", async (t) => {
+    const { socketPath } = await startServer(t);
+    await waitForPayload(socketPath);
+
+    const { headers, events } = await readEvents(t, socketPath, 4);
+    assert.match(headers["content-type"], /^text\/event-stream/);
+    assert.equal(headers["access-control-allow-origin"], "*");
+    assert.deepEqual(events[0], { retry: "2000" });
+    assert.equal(events[1].event, "snapshot");
+    assert.equal(JSON.parse(events[1].data).memory.totalGb, 8);
+
+    const ticks = events.slice(2);
+    assert.deepEqual(
+        ticks.map((event) => event.event),
+        ["tick", "tick"],
+    );
+    assert.equal(Number(ticks[1].id), Number(ticks[0].id) + 1);
+    const update = JSON.parse(ticks[0].data);
+    assert.deepEqual(update.cpu.loadAvg, [0.52, 0.41, 0.3]);
+});
+
+test("HEAD /events answers with the stream headers only", async (t) => {
+    const { socketPath } = await startServer(t);
+    await waitForPayload(socketPath);
+
+    const head = await request(socketPath, "/events", { method: "HEAD" });
+    assert.equal(head.status, 200);
+    assert.match(head.headers["content-type"], /^text\/event-stream/);
+    assert.equal(head.headers["access-control-allow-origin"], "*");
+    assert.equal(head.body, "");
+});
+
+test("/events drops a client that stops reading", async (t) => {
+    const dir = await makeTempDir(t);
+    const socketPath = path.join(dir, "webtop.sock");
+    const server = await startStatsServer(`unix:${socketPath}`);
+    t.after(() => server.close());
+
+    const slow = connect(socketPath);
+    t.after(() => slow.destroy());
+    slow.write("GET /events HTTP/1.1\r\nHost: localhost\r\n\r\n");
+    await new Promise((resolve) => slow.once("data", resolve));
+    slow.pause();
+
+    const ticks = 20;
+    const reader = readEvents(t, socketPath, 1 + ticks);
+    await delay(100);
+    const update = { blob: "x".repeat(256 * 1024) };
+    for (let i = 0; i < ticks; i += 1) {
+        server.publish({}, update, null);
+        await delay(20);
+    }
+
+    // The reader kept up and saw every tick; the paused client was cut
+    // off, so draining what reached it ends in a close, not more ticks.
+    const { events } = await reader;
+    assert.equal(
+        events.filter((event) => event.event === "tick").length,
+        ticks,
+    );
+    let received = 0;
+    slow.on("data", (chunk) => {
+        received += chunk.length;
+    });
+    slow.on("error", () => {});
+    const closed = new Promise((resolve) =>
+        slow.once("close", () => resolve(true)),
+    );
+    slow.resume();
+    assert.ok(
+        await Promise.race([closed, delay(5000, false)]),
+        "the paused client is still connected",
+    );
+    assert.ok(received < ticks * update.blob.length, `${received} bytes`);
+});
+
+test("/metrics serves the Prometheus text", async (t) => {
+    const { socketPath } = await startServer(t);
+    await waitForPayload(socketPath);
+
+    const response = await request(socketPath, "/metrics");
+    assert.equal(response.status, 200);
+    assert.match(
+        response.headers["content-type"],
+        /^text\/plain; version=0\.0\.4/,
+    );
+    assert.equal(response.headers["access-control-allow-origin"], "*");
+    assert.match(response.body, /^# TYPE webtop_memory_total_bytes gauge$/m);
+    assert.match(response.body, /^webtop_memory_total_bytes 8589934592$/m);
+});
+
+test("/events stays plain with --encoding=compact", async (t) => {
+    const { socketPath } = await startServer(t, ["--encoding=compact"]);
+    const response = await waitForPayload(socketPath);
+    assert.equal(JSON.parse(response.body).encoding, "compact");
+
+    const { events } = await readEvents(t, socketPath, 3);
+    const snapshot = JSON.parse(events[1].data);
+    assert.equal(snapshot.encoding, undefined);
+    assert.ok(Array.isArray(snapshot.updates));
+    assert.deepEqual(validateSchema(PAYLOAD_SCHEMA, snapshot), []);
+    assert.equal(events[2].event, "tick");
+});
+
+test("--write-every keeps a ring of --updates ticks between writes", async (t) => {
+    const dir = await makeTempDir(t);
+    const outPath = path.join(dir, "stats.json");
+    startCli(t, [
+        ...hostArgs(),
+        "--daemon",
+        "--updates=3",
+        "--write-every=2",
+        "--interval-ms=100",
+        `--out=${outPath}`,
+    ]);
+    const first = await waitForJson(
+        outPath,
+        (payload) => payload.updates.length === 3,
+    );
+    const later = await waitForJson(
+        outPath,
+        (payload) => payload.sampledAt !== first.sampledAt,
+    );
+    assert.equal(later.updates.length, 3);
+    assert.ok(later.sampledAt > first.sampledAt);
+});
+
+test("SIGTERM flushes ticks that were not written yet", async (t) => {
+    const dir = await makeTempDir(t);
+    const outPath = path.join(dir, "stats.json");
+    const daemon = startCli(t, [
+        ...hostArgs(),
+        "--daemon",
+        "--updates=3",
+        "--write-every=1000",
+        "--interval-ms=100",
+        `--out=${outPath}`,
+    ]);
+    await daemon.waitForOutput(/Daemon: sampling every 100ms/);
+    // Long enough for more than --updates ticks, far short of 1000.
+    await delay(800);
+    await assert.rejects(access(outPath), { code: "ENOENT" });
+
+    await daemon.stop();
+    assert.match(
+        daemon.output.stdout,
+        /Received SIGTERM, flushing and exiting/,
+    );
+    assert.match(daemon.output.stdout, /Daemon stopped: last 3 ticks/);
+    const payload = JSON.parse(await readFile(outPath, "utf8"));
+    assert.equal(payload.updates.length, 3);
+});
+
+test("--compress keeps .gz and .br siblings in step with --out", async (t) => {
+    const dir = await makeTempDir(t);
+    const outPath = path.join(dir, "stats.json");
+    const daemon = startCli(t, [
+        ...hostArgs(),
+        "--daemon",
+        "--updates=2",
+        "--interval-ms=100",
+        "--compress=gzip,br",
+        `--out=${outPath}`,
+    ]);
+    await waitForJson(outPath, (payload) => payload.updates.length === 2);
+    // The last write happens on shutdown, so compare after it.
+    await daemon.stop();
+
+    const plain = await readFile(outPath);
+    assert.deepEqual(gunzipSync(await readFile(`${outPath}.gz`)), plain);
+    assert.deepEqual(
+        brotliDecompressSync(await readFile(`${outPath}.br`)),
+        plain,
+    );
+    assert.equal(JSON.parse(plain).updates.length, 2);
+});
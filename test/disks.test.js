@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+
+import { createCollector } from "../webtop-gen.js";
+import { copyFixtureHost, hostOptions } from "./helpers.js";
+
+// Mount points exist under the copied tree, so --mount-root measures them
+// there. 8:1 and 8:2 are each mounted twice.
+const MOUNTINFO = [
+    "22 1 8:1 / / rw,relatime shared:1 - ext4 /dev/sda1 rw",
+    "23 22 0:21 / /run rw,nosuid,nodev shared:2 - tmpfs tmpfs rw",
+    "30 22 8:1 /srv/data /data rw,relatime - ext4 /dev/sda1 rw",
+    "31 22 8:2 / /home rw,relatime - ext4 /dev/sda2 rw",
+    "32 31 8:2 /www /var/www ro,relatime - ext4 /dev/sda2 rw",
+    "33 22 8:17 / /mnt/backup rw,relatime - xfs /dev/sdb1 rw",
+    "34 22 8:33 / /mnt/scratch rw,relatime - ext4 /dev/sdc1 rw",
+    "35 22 8:49 / /boot/efi rw,relatime - vfat /dev/sdd1 rw",
+    "",
+].join("\n");
+
+async function readDisks(t, options = {}) {
+    const root = await copyFixtureHost(t);
+    await writeFile(path.join(root, "proc", "self", "mountinfo"), MOUNTINFO);
+    for (const mountPoint of [
+        "run",
+        "data",
+        "home",
+        "var/www",
+        "mnt/backup",
+        "mnt/scratch",
+        "boot/efi",
+    ]) {
+        await mkdir(path.join(root, mountPoint), { recursive: true });
+    }
+    const collector = await createCollector({
+        ...hostOptions(root),
+        ...options,
+    });
+    t.after(() => collector.close());
+    const payload = await collector.snapshot();
+    return payload.disks.map((disk) => disk.mountPoint);
+}
+
+test("reports bind-mounted filesystems once, through their root", async (t) => {
+    // /data and /var/www expose subdirectories of / and /home; tmpfs and
+    // the EFI partition are skipped by default.
+    assert.deepEqual(await readDisks(t), [
+        "/",
+        "/home",
+        "/mnt/backup",
+        "/mnt/scratch",
+    ]);
+});
+
+test("a bind mount stands in when its filesystem root is filtered out", async (t) => {
+    assert.deepEqual(
+        await readDisks(t, { includeMounts: ["/var/**", "/data"] }),
+        ["/data", "/var/www"],
+    );
+});
+
+test("applies the include, exclude and filesystem globs", async (t) => {
+    assert.deepEqual(await readDisks(t, { includeMounts: ["/mnt/*"] }), [
+        "/mnt/backup",
+        "/mnt/scratch",
+    ]);
+    assert.deepEqual(
+        await readDisks(t, {
+            includeMounts: ["/mnt/*"],
+            excludeMounts: ["**/scratch"],
+        }),
+        ["/mnt/backup"],
+    );
+    assert.deepEqual(await readDisks(t, { excludeFs: ["ext4", "tmpfs"] }), [
+        "/mnt/backup",
+    ]);
+    // Replacing the default exclusions brings the EFI partition back.
+    assert.deepEqual(await readDisks(t, { excludeMounts: [] }), [
+        "/",
+        "/home",
+        "/mnt/backup",
+        "/mnt/scratch",
+        "/boot/efi",
+    ]);
+});
+
+test("measures mount points under --mount-root", async (t) => {
+    // Without the mapping /mnt/backup would be looked up on the real host.
+    assert.deepEqual(
+        await readDisks(t, { mountRoot: path.join(path.sep, "nonexistent") }),
+        [],
+    );
+});
@@ -0,0 +1,132 @@
+import { execFile, spawn } from "node:child_process";
+import { cp, mkdtemp, readFile, rm } from "node:fs/promises";
+import { setTimeout as delay } from "node:timers/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const SCRIPT = fileURLToPath(
+    new URL("../webtop-gen.js", import.meta.url),
+);
+
+// A small fake host: two threads, eth0 as the default route, one ext4 root
+// on sda1, two processes, a docker scope and a service, and a sensors
+// script with canned output.
+export const FIXTURE_HOST = fileURLToPath(
+    new URL("./fixtures/host", import.meta.url),
+);
+
+export function hostOptions(root = FIXTURE_HOST) {
+    return {
+        procRoot: path.join(root, "proc"),
+        sysRoot: path.join(root, "sys"),
+        etcRoot: path.join(root, "etc"),
+        mountRoot: root,
+        sensorsCmd: path.join(root, "bin", "sensors"),
+    };
+}
+
+export function hostArgs(root = FIXTURE_HOST) {
+    const options = hostOptions(root);
+    return [
+        `--proc-root=${options.procRoot}`,
+        `--sys-root=${options.sysRoot}`,
+        `--etc-root=${options.etcRoot}`,
+        `--mount-root=${options.mountRoot}`,
+        `--sensors-cmd=${options.sensorsCmd}`,
+    ];
+}
+
+// Resolves with the exit code and output instead of rejecting, so tests can
+// assert on failures as easily as on successes.
+export function runCli(args, { cwd, env, timeout = 30000 } = {}) {
+    return new Promise((resolve) => {
+        execFile(
+            process.execPath,
+            [SCRIPT, ...args],
+            {
+                cwd,
+                env: env && { ...process.env, ...env },
+                timeout,
+                encoding: "utf8",
+            },
+            (error, stdout, stderr) => {
+                resolve({
+                    code: error ? (error.code ?? 1) : 0,
+                    stdout,
+                    stderr,
+                });
+            },
+        );
+    });
+}
+
+// Starts a long-running CLI (daemon, server) that the test stops with
+// SIGTERM when it ends, by its own pid.
+export function startCli(t, args, { cwd } = {}) {
+    const child = spawn(process.execPath, [SCRIPT, ...args], {
+        cwd,
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+    const output = { stdout: "", stderr: "" };
+    for (const stream of ["stdout", "stderr"]) {
+        child[stream].setEncoding("utf8");
+        child[stream].on("data", (chunk) => {
+            output[stream] += chunk;
+        });
+    }
+    const exited = new Promise((resolve) => child.once("exit", resolve));
+    const stop = async () => {
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill("SIGTERM");
+        }
+        return exited;
+    };
+    t.after(stop);
+    return {
+        child,
+        output,
+        stop,
+        waitForOutput: (pattern, stream = "stdout") =>
+            waitUntil(
+                () => pattern.test(output[stream]),
+                `${stream} matching ${pattern}`,
+            ),
+    };
+}
+
+export async function waitUntil(check, what, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const value = await check();
+        if (value) return value;
+        await delay(50);
+    }
+    throw new Error(`Timed out after ${timeoutMs}ms waiting for ${what}`);
+}
+
+// The JSON in a file once it parses and passes `accept`; daemons replace
+// their output atomically, so a read never sees half a file.
+export function waitForJson(filePath, accept = () => true) {
+    return waitUntil(async () => {
+        try {
+            const value = JSON.parse(await readFile(filePath, "utf8"));
+            return accept(value) ? value : null;
+        } catch {
+            return null;
+        }
+    }, filePath);
+}
+
+export async function makeTempDir(t) {
+    const dir = await mkdtemp(path.join(os.tmpdir(), "webtop-gen-test-"));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A writable copy of the fixture host, for tests that advance its counters.
+export async function copyFixtureHost(t) {
+    const dir = await makeTempDir(t);
+    await cp(FIXTURE_HOST, dir, { recursive: true });
+    return dir;
+}
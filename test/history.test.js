@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+
+import { hostArgs, makeTempDir, runCli } from "./helpers.js";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const NINE_AM = Date.UTC(2026, 9, 18, 9, 0, 0);
+
+// A replay reads the clock from the recording, so rewriting the recorded
+// clock reads places each tick in whatever bucket a test needs.
+async function recordTicks(t, ticks) {
+    const dir = await makeTempDir(t);
+    const result = await runCli(
+        [
+            ...hostArgs(),
+            `--updates=${ticks}`,
+            "--interval-ms=100",
+            "--out=stats.json",
+            "--record=rec.jsonl",
+        ],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 0, result.stderr);
+    const entries = (await readFile(path.join(dir, "rec.jsonl"), "utf8"))
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+    return { dir, entries };
+}
+
+// `clock[0]` is the baseline read, then one time per tick. `memoryUsedPct`
+// sets MemAvailable so every tick reports that share of the 8 GiB.
+async function replayAt(dir, entries, { clock, memoryUsedPct = 50 }) {
+    const availableKb = Math.round(8388608 * (1 - memoryUsedPct / 100));
+    const lines = entries.map((entry) => {
+        if (entry.op === "now") {
+            return { ...entry, t: clock[entry.seq], data: clock[entry.seq] };
+        }
+        if (entry.key === "proc:meminfo") {
+            return {
+                ...entry,
+                data: entry.data.replace(
+                    /^MemAvailable:\s+\d+/m,
+                    `MemAvailable:    ${availableKb}`,
+                ),
+            };
+        }
+        return entry;
+    });
+    await writeFile(
+        path.join(dir, "rec.jsonl"),
+        `${lines.map((line) => JSON.stringify(line)).join("\n")}\n`,
+    );
+    const result = await runCli(
+        ["--replay=rec.jsonl", "--out=replayed.json", "--history=history.json"],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 0, result.stderr);
+    return {
+        payload: JSON.parse(
+            await readFile(path.join(dir, "replayed.json"), "utf8"),
+        ),
+        stored: JSON.parse(
+            await readFile(path.join(dir, "history.json"), "utf8"),
+        ),
+    };
+}
+
+const starts = (buckets) =>
+    buckets.map((bucket) => [
+        typeof bucket.start === "number"
+            ? new Date(bucket.start).toISOString()
+            : bucket.start,
+        bucket.samples,
+    ]);
+
+test("rolls ticks into minute and hour buckets", async (t) => {
+    const { dir, entries } = await recordTicks(t, 3);
+    const { payload, stored } = await replayAt(dir, entries, {
+        clock: [
+            NINE_AM,
+            NINE_AM + 10_000,
+            NINE_AM + 70_000,
+            NINE_AM + HOUR_MS + 5_000,
+        ],
+    });
+
+    assert.deepEqual(starts(payload.history.minutes), [
+        ["2026-10-18T09:00:00.000Z", 1],
+        ["2026-10-18T09:01:00.000Z", 1],
+        ["2026-10-18T10:00:00.000Z", 1],
+    ]);
+    assert.deepEqual(starts(payload.history.hours), [
+        ["2026-10-18T09:00:00.000Z", 2],
+        ["2026-10-18T10:00:00.000Z", 1],
+    ]);
+    assert.deepEqual(payload.history.minutes[0].memoryUsedPct, {
+        min: 50,
+        max: 50,
+        avg: 50,
+    });
+    assert.deepEqual(payload.history.minutes[0].diskTempC, {
+        min: 38.9,
+        max: 38.9,
+        avg: 38.9,
+    });
+
+    // The file keeps sums and counts, not the rounded summary.
+    assert.equal(stored.version, 1);
+    assert.deepEqual(starts(stored.hours), starts(payload.history.hours));
+    assert.deepEqual(stored.hours[0].series.memoryUsedPct, {
+        min: 50,
+        max: 50,
+        sum: 100,
+        count: 2,
+    });
+});
+
+test("a later run continues the stored bucket with exact averages", async (t) => {
+    const { dir, entries } = await recordTicks(t, 2);
+    await replayAt(dir, entries, {
+        clock: [NINE_AM, NINE_AM + 5_000, NINE_AM + 10_000],
+        memoryUsedPct: 50,
+    });
+    // One tick of the second run lands in the same minute. Averaging the
+    // runs' averages would give 65; the stored sums give 60.
+    const { payload, stored } = await replayAt(dir, entries, {
+        clock: [NINE_AM + 20_000, NINE_AM + 30_000, NINE_AM + 61_000],
+        memoryUsedPct: 80,
+    });
+
+    assert.deepEqual(starts(payload.history.minutes), [
+        ["2026-10-18T09:00:00.000Z", 3],
+        ["2026-10-18T09:01:00.000Z", 1],
+    ]);
+    assert.deepEqual(payload.history.minutes[0].memoryUsedPct, {
+        min: 50,
+        avg: 60,
+        max: 80,
+    });
+    assert.deepEqual(stored.minutes[0].series.memoryUsedPct, {
+        min: 50,
+        max: 80,
+        sum: 180,
+        count: 3,
+    });
+});
+
+test("drops minute buckets after a day and hour buckets after thirty", async (t) => {
+    const { dir, entries } = await recordTicks(t, 1);
+    await replayAt(dir, entries, { clock: [NINE_AM, NINE_AM + 5_000] });
+
+    const twoDaysLater = NINE_AM + 48 * HOUR_MS;
+    const { stored } = await replayAt(dir, entries, {
+        clock: [twoDaysLater, twoDaysLater + 5_000],
+    });
+    assert.deepEqual(starts(stored.minutes), [["2026-10-20T09:00:00.000Z", 1]]);
+    assert.deepEqual(starts(stored.hours), [
+        ["2026-10-18T09:00:00.000Z", 1],
+        ["2026-10-20T09:00:00.000Z", 1],
+    ]);
+
+    const monthLater = NINE_AM + 31 * 24 * HOUR_MS;
+    const { payload } = await replayAt(dir, entries, {
+        clock: [monthLater, monthLater + 5_000],
+    });
+    // 10-18 is now past thirty days; 10-20 is not.
+    assert.deepEqual(starts(payload.history.hours), [
+        ["2026-10-20T09:00:00.000Z", 1],
+        ["2026-11-18T09:00:00.000Z", 1],
+    ]);
+});
@@ -0,0 +1,201 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:net";
+import test from "node:test";
+
+import { createCollector } from "../webtop-gen.js";
+import { hostOptions } from "./helpers.js";
+
+const unquote = (value = "") =>
+    value.replace(/^"|"$/g, "").replace(/\\(.)/g, "$1");
+const quote = (value) => `"${value.replace(/["\\]/g, "\\$&")}"`;
+
+// A fake upsd that answers LIST UPS, LIST VAR, USERNAME, PASSWORD and
+// LOGOUT, or nothing at all when `silent` is set.
+async function startNutServer(
+    t,
+    { upses = {}, password = null, silent = false },
+) {
+    const commands = [];
+    const sockets = new Set();
+    const server = createServer((socket) => {
+        sockets.add(socket);
+        socket.on("close", () => sockets.delete(socket));
+        socket.on("error", () => {});
+        socket.setEncoding("utf8");
+        let buffer = "";
+        socket.on("data", (chunk) => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf("\n")) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 1);
+                commands.push(line);
+                if (!silent) socket.write(reply(line, socket));
+            }
+        });
+    });
+    const reply = (line, socket) => {
+        const [verb, noun, ...rest] = line.split(" ");
+        if (verb === "USERNAME") return "OK\n";
+        if (verb === "PASSWORD") {
+            return unquote(noun) === password ? "OK\n" : "ERR ACCESS-DENIED\n";
+        }
+        if (verb === "LOGOUT") {
+            socket.end("OK Goodbye\n");
+            return "";
+        }
+        if (verb === "LIST" && noun === "UPS") {
+            const rows = Object.keys(upses).map(
+                (name) => `UPS ${name} ${quote(`${name} unit`)}\n`,
+            );
+            return `BEGIN LIST UPS\n${rows.join("")}END LIST UPS\n`;
+        }
+        if (verb === "LIST" && noun === "VAR") {
+            const name = rest[0];
+            const vars = upses[name];
+            if (!vars) return "ERR UNKNOWN-UPS\n";
+            const rows = Object.entries(vars).map(
+                ([key, value]) => `VAR ${name} ${key} ${quote(value)}\n`,
+            );
+            return `BEGIN LIST VAR ${name}\n${rows.join("")}END LIST VAR ${name}\n`;
+        }
+        return "ERR UNKNOWN-COMMAND\n";
+    };
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    t.after(() => {
+        for (const socket of sockets) socket.destroy();
+        server.close();
+    });
+    return { address: `127.0.0.1:${server.address().port}`, commands };
+}
+
+async function readUps(t, options) {
+    const collector = await createCollector({ ...hostOptions(), ...options });
+    t.after(() => collector.close());
+    return (await collector.snapshot()).upsDevices;
+}
+
+const RACK_VARS = {
+    "ups.status": "OB LB",
+    "battery.charge": "35",
+    "battery.runtime": "420",
+    "ups.load": "61.5",
+    "input.voltage": "0.0",
+    "input.frequency": "50.1",
+    "ups.realpower": "540",
+    "ups.beeper.status": "disabled",
+    "ups.test.result": "Done and passed",
+    "device.mfr": "APC",
+    "device.model": 'Smart-UPS "1500"',
+};
+
+test("decodes LIST VAR into a UPS snapshot", async (t) => {
+    const nut = await startNutServer(t, { upses: { rack: RACK_VARS } });
+    const [ups] = await readUps(t, { upsServer: [`rack@${nut.address}`] });
+
+    assert.equal(ups.name, "rack");
+    assert.equal(ups.server, nut.address);
+    assert.equal(ups.status, "OB LB");
+    assert.equal(ups.flags.onBattery, true);
+    assert.equal(ups.flags.lowBattery, true);
+    assert.equal(ups.flags.online, false);
+    assert.equal(ups.batteryChargePct, 35);
+    assert.equal(ups.loadPct, 61.5);
+    assert.equal(ups.inputFrequencyHz, 50.1);
+    assert.equal(ups.realPowerW, 540);
+    assert.equal(ups.outputVoltageV, null);
+    assert.equal(ups.beeperEnabled, false);
+    assert.equal(ups.testResult, "Done and passed");
+    assert.equal(ups.model, 'Smart-UPS "1500"');
+    assert.deepEqual(nut.commands, ["LIST VAR rack", "LOGOUT"]);
+});
+
+test("*@host reads every UPS and keeps ERR replies per UPS", async (t) => {
+    const nut = await startNutServer(t, {
+        upses: { rack: RACK_VARS, desk: { "ups.status": "OL CHRG" } },
+    });
+    // "ghost" is listed but unknown to LIST VAR.
+    const upsesWithGhost = await startNutServer(t, {
+        upses: { ghost: null, desk: { "ups.status": "OL" } },
+    });
+    const devices = await readUps(t, {
+        upsServer: [`*@${nut.address}`, `*@${upsesWithGhost.address}`],
+    });
+
+    assert.deepEqual(
+        devices.map(({ name, server, status, error }) => ({
+            name,
+            server,
+            status,
+            error,
+        })),
+        [
+            {
+                name: "rack",
+                server: nut.address,
+                status: "OB LB",
+                error: undefined,
+            },
+            {
+                name: "desk",
+                server: nut.address,
+                status: "OL CHRG",
+                error: undefined,
+            },
+            {
+                name: "ghost",
+                server: upsesWithGhost.address,
+                status: "unavailable",
+                error: "server replied ERR UNKNOWN-UPS",
+            },
+            {
+                name: "desk",
+                server: upsesWithGhost.address,
+                status: "OL",
+                error: undefined,
+            },
+        ],
+    );
+    assert.equal(devices[1].flags.charging, true);
+});
+
+test("logs in with quoted credentials", async (t) => {
+    const nut = await startNutServer(t, {
+        upses: { rack: RACK_VARS },
+        password: 'se"cret',
+    });
+    const [ups] = await readUps(t, {
+        upsServer: [`rack@${nut.address}`],
+        upsUser: "monitor",
+        upsPassword: 'se"cret',
+    });
+    assert.equal(ups.status, "OB LB");
+    assert.deepEqual(nut.commands.slice(0, 2), [
+        'USERNAME "monitor"',
+        'PASSWORD "se\\"cret"',
+    ]);
+});
+
+test("a rejected login marks the target unavailable", async (t) => {
+    const nut = await startNutServer(t, {
+        upses: { rack: RACK_VARS },
+        password: "right",
+    });
+    const [ups] = await readUps(t, {
+        upsServer: [`rack@${nut.address}`],
+        upsUser: "monitor",
+        upsPassword: "wrong",
+    });
+    assert.equal(ups.name, "rack");
+    assert.equal(ups.status, "unavailable");
+    assert.match(ups.error, /ERR ACCESS-DENIED/);
+});
+
+test("gives up on a server that never answers", async (t) => {
+    const nut = await startNutServer(t, { silent: true });
+    const [ups] = await readUps(t, { upsServer: [`rack@${nut.address}`] });
+    assert.equal(ups.status, "unavailable");
+    assert.match(ups.error, /no answer within 5000ms/);
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+
+import { hostArgs, makeTempDir, runCli } from "./helpers.js";
+
+async function withConfig(t, values) {
+    const dir = await makeTempDir(t);
+    await writeFile(path.join(dir, "webtop.json"), JSON.stringify(values));
+    return dir;
+}
+
+test("the command line beats the environment, which beats the config", async (t) => {
+    const dir = await withConfig(t, { updates: 2, intervalMs: 100 });
+    const run = async (args, env) => {
+        const result = await runCli(
+            [
+                ...hostArgs(),
+                "--config=webtop.json",
+                "--out=stats.json",
+                ...args,
+            ],
+            { cwd: dir, env },
+        );
+        assert.equal(result.code, 0, result.stderr);
+        const payload = JSON.parse(
+            await readFile(path.join(dir, "stats.json"), "utf8"),
+        );
+        return { stdout: result.stdout, ticks: payload.updates.length };
+    };
+
+    const fromConfig = await run([], {});
+    assert.equal(fromConfig.ticks, 2);
+    assert.match(fromConfig.stdout, /updates: 10 -> 2 \(config\)/);
+    assert.match(fromConfig.stdout, /interval-ms: 1000 -> 100 \(config\)/);
+
+    const fromEnv = await run([], { WEBTOP_UPDATES: "3" });
+    assert.equal(fromEnv.ticks, 3);
+    assert.match(fromEnv.stdout, /updates: 10 -> 3 \(env\)/);
+
+    const fromCli = await run(["--updates=1"], { WEBTOP_UPDATES: "3" });
+    assert.equal(fromCli.ticks, 1);
+    assert.match(fromCli.stdout, /updates: 10 -> 1 \(cli\)/);
+    // Layers only replace the options they set.
+    assert.match(fromCli.stdout, /interval-ms: 1000 -> 100 \(config\)/);
+});
+
+test("reports every unknown name with a suggestion, all at once", async (t) => {
+    const dir = await withConfig(t, { updatse: 3 });
+    const result = await runCli(
+        ["--config=webtop.json", "--intervl-ms=500", "stray"],
+        { cwd: dir, env: { WEBTOP_UPDATE: "3" } },
+    );
+    assert.equal(result.code, 1);
+    const errors = result.stderr
+        .split("\n")
+        .filter((line) => /^ {2}- /.test(line));
+    assert.deepEqual(errors, [
+        "  - unknown option --intervl-ms (did you mean --interval-ms?)",
+        '  - unexpected argument "stray"',
+        `  - unknown key "updatse" in ${path.join(dir, "webtop.json")} (did you mean updates?)`,
+        "  - unknown environment variable WEBTOP_UPDATE (did you mean WEBTOP_UPDATES?)",
+    ]);
+});
+
+test("rejects values of the wrong type or out of range", async (t) => {
+    const dir = await withConfig(t, { updates: "many" });
+    const result = await runCli(
+        ["--config=webtop.json", "--interval-ms=50", "--max-disks=0"],
+        { cwd: dir, env: { WEBTOP_TOP_PROCS: "lots" } },
+    );
+    assert.equal(result.code, 1);
+    assert.match(
+        result.stderr,
+        /updates in .*webtop\.json: expected an integer, got "many"/,
+    );
+    assert.match(
+        result.stderr,
+        /WEBTOP_TOP_PROCS: expected an integer, got "lots"/,
+    );
+    assert.match(
+        result.stderr,
+        /--interval-ms: must be between 100 and 60000, got 50/,
+    );
+    assert.match(result.stderr, /--max-disks: must be between 1 and 64, got 0/);
+});
+
+test("--config without =<path> is an error", async (t) => {
+    const dir = await withConfig(t, { updates: 2 });
+    for (const args of [["--config"], ["--config", "webtop.json"]]) {
+        const result = await runCli([...hostArgs(), ...args], { cwd: dir });
+        assert.equal(result.code, 1, args.join(" "));
+        assert.match(
+            result.stderr,
+            /--config needs a path, as in --config=<path>/,
+        );
+    }
+});
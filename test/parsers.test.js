@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+import { promisify } from "node:util";
+
+import {
+    computeCpuUsagePct,
+    parseCpuStats,
+    parseDefaultRouteIface,
+    parseDiskStats,
+    parseLoadAvg,
+    parseMeminfo,
+    parseNetDev,
+    parsePressure,
+    parseSensorsOutput,
+    parseUpscOutput,
+} from "../webtop-gen.js";
+import { FIXTURE_HOST, hostOptions } from "./helpers.js";
+
+const readProc = (relPath) =>
+    readFile(path.join(FIXTURE_HOST, "proc", relPath), "utf8");
+
+test("parseMeminfo", async () => {
+    const memory = parseMeminfo(await readProc("meminfo"));
+    assert.equal(memory.totalGb, 8);
+    assert.equal(memory.usedGb, 4);
+    assert.equal(memory.usedPct, 50);
+    assert.equal(memory.cachedGb, 1.25);
+    assert.equal(memory.swapTotalGb, 2);
+    assert.equal(memory.swapUsedPct, 50);
+    assert.equal(memory.dirtyMb, 2);
+});
+
+test("parseLoadAvg", async () => {
+    assert.deepEqual(
+        parseLoadAvg(await readProc("loadavg")),
+        [0.52, 0.41, 0.3],
+    );
+});
+
+test("parseCpuStats and computeCpuUsagePct", async () => {
+    const previous = parseCpuStats(await readProc("stat"));
+    assert.deepEqual([...previous.keys()], ["cpu", "cpu0", "cpu1"]);
+    assert.equal(previous.get("cpu0").total, 9600);
+    assert.equal(previous.get("cpu0").idle, 8100);
+
+    // cpu0 spends 300 of 400 jiffies busy, cpu1 100 of 400.
+    const current = parseCpuStats(
+        [
+            "cpu  2400 0 1000 16400 200 0 0 0 0 0",
+            "cpu0 1300 0 500 8100 100 0 0 0 0 0",
+            "cpu1 1100 0 500 8300 100 0 0 0 0 0",
+        ].join("\n"),
+    );
+    assert.equal(computeCpuUsagePct(previous, current, "cpu0"), 75);
+    assert.equal(computeCpuUsagePct(previous, current, "cpu1"), 25);
+    assert.equal(computeCpuUsagePct(previous, current, "cpu"), 50);
+    assert.equal(computeCpuUsagePct(previous, current, "cpu7"), 0);
+});
+
+test("parseNetDev and parseDefaultRouteIface", async () => {
+    const interfaces = parseNetDev(await readProc("net/dev"));
+    assert.deepEqual([...interfaces.keys()], ["lo", "eth0", "wlan0"]);
+    assert.deepEqual(interfaces.get("eth0"), {
+        rxBytes: 10485760,
+        rxPackets: 20000,
+        rxErrors: 0,
+        rxDrops: 2,
+        txBytes: 2097152,
+        txPackets: 15000,
+        txErrors: 0,
+        txDrops: 0,
+    });
+    assert.equal(parseDefaultRouteIface(await readProc("net/route")), "eth0");
+    assert.equal(parseDefaultRouteIface("Iface\tDestination\n"), "");
+});
+
+test("parseDiskStats skips loop devices", async () => {
+    const devices = parseDiskStats(await readProc("diskstats"));
+    assert.deepEqual([...devices.keys()], ["sda", "sda1"]);
+    assert.deepEqual(devices.get("sda"), {
+        devId: "8:0",
+        reads: 1000,
+        readBytes: 80000 * 512,
+        readTimeMs: 500,
+        writes: 2000,
+        writeBytes: 160000 * 512,
+        writeTimeMs: 1000,
+        ioTicksMs: 1200,
+    });
+});
+
+test("parsePressure", async () => {
+    assert.deepEqual(parsePressure(await readProc("pressure/cpu")), {
+        some: { avg10: 2, avg60: 1, totalUs: 200000 },
+        full: null,
+    });
+    assert.deepEqual(parsePressure(await readProc("pressure/io")).full, {
+        avg10: 0,
+        avg60: 0,
+        totalUs: 0,
+    });
+});
+
+test("parseSensorsOutput reads the fixture sensors command", async () => {
+    const { stdout } = await promisify(execFile)(hostOptions().sensorsCmd);
+    const { entries } = parseSensorsOutput(stdout);
+    assert.deepEqual(
+        entries.map(({ id, celsius, highC, critC }) => ({
+            id,
+            celsius,
+            highC,
+            critC,
+        })),
+        [
+            {
+                id: "coretemp-isa-0000/Package id 0",
+                celsius: 47,
+                highC: 80,
+                critC: 100,
+            },
+            {
+                id: "coretemp-isa-0000/Core 0",
+                celsius: 45,
+                highC: 80,
+                critC: 100,
+            },
+            {
+                id: "coretemp-isa-0000/Core 1",
+                celsius: 46,
+                highC: 80,
+                critC: 100,
+            },
+            {
+                id: "nvme-pci-0100/Composite",
+                celsius: 38.9,
+                highC: 84.8,
+                critC: null,
+            },
+        ],
+    );
+});
+
+test("parseUpscOutput", () => {
+    assert.deepEqual(
+        parseUpscOutput(
+            "battery.charge: 97\nups.status: OL CHRG\nInit SSL without certificate database\n",
+        ),
+        { "battery.charge": "97", "ups.status": "OL CHRG" },
+    );
+});
@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+
+import { createCollector } from "../webtop-gen.js";
+import { hostOptions, makeTempDir } from "./helpers.js";
+
+async function writePlugin(dir, fileName, source) {
+    const pluginPath = path.join(dir, fileName);
+    await writeFile(pluginPath, source);
+    return pluginPath;
+}
+
+async function startCollector(t, plugins, extra = {}) {
+    const collector = await createCollector({
+        ...hostOptions(),
+        plugins,
+        ...extra,
+    });
+    t.after(() => collector.close());
+    await collector.start();
+    return collector;
+}
+
+test("results land under each plugin's name, with previous and deltaSec", async (t) => {
+    const dir = await makeTempDir(t);
+    const counter = await writePlugin(
+        dir,
+        "counter.mjs",
+        `export async function collectStatic({ roots }) {
+            return { procRoot: roots.proc };
+        }
+        export async function collectTick({ previous, deltaSec }) {
+            return { calls: (previous?.calls ?? 0) + 1, previous, deltaSec };
+        }`,
+    );
+    const named = await writePlugin(
+        dir,
+        "queue-plugin.mjs",
+        `export const name = "queue";
+        export function collectTick() {
+            return { depth: 3, ratio: NaN };
+        }`,
+    );
+    const collector = await startCollector(t, [counter, named]);
+
+    const update = await collector.sample();
+    assert.deepEqual(Object.keys(update.plugins).sort(), ["counter", "queue"]);
+    assert.deepEqual(update.plugins.queue, { depth: 3, ratio: null });
+    // The tick at start has no previous; the first sample sees its result.
+    const { calls, previous, deltaSec } = update.plugins.counter;
+    assert.equal(calls, 2);
+    assert.deepEqual(previous, { calls: 1, previous: null, deltaSec: null });
+    assert.ok(deltaSec > 0);
+
+    const second = await collector.sample();
+    assert.equal(second.plugins.counter.calls, 3);
+    assert.equal(second.plugins.counter.previous.calls, 2);
+
+    const payload = await collector.snapshot();
+    // Only plugins that export collectStatic() appear at the top level.
+    assert.deepEqual(payload.plugins, {
+        counter: { procRoot: hostOptions().procRoot },
+    });
+});
+
+test("a hook that throws gives null for that plugin only, logged once", async (t) => {
+    const dir = await makeTempDir(t);
+    const plugins = await Promise.all(
+        [
+            ["throws-error", 'throw new Error("queue down")'],
+            ["throws-null", "throw null"],
+            ["throws-string", 'throw "not ready"'],
+            ["works", "return { ok: true }"],
+        ].map(([name, body]) =>
+            writePlugin(
+                dir,
+                `${name}.mjs`,
+                `export function collectTick() { ${body}; }`,
+            ),
+        ),
+    );
+    const logged = [];
+    t.mock.method(console, "error", (message) => logged.push(message));
+    const collector = await startCollector(t, plugins);
+
+    await collector.sample();
+    const update = await collector.sample();
+    assert.deepEqual(update.plugins, {
+        "throws-error": null,
+        "throws-null": null,
+        "throws-string": null,
+        works: { ok: true },
+    });
+    // Three ticks so far, but each failure is logged only once.
+    assert.deepEqual(logged.sort(), [
+        "Plugin throws-error collectTick() failed: queue down",
+        "Plugin throws-null collectTick() failed: null",
+        "Plugin throws-string collectTick() failed: not ready",
+    ]);
+});
+
+test("a hook that times out gives null and has its signal aborted", async (t) => {
+    const dir = await makeTempDir(t);
+    const abortedPath = path.join(dir, "aborted");
+    const slow = await writePlugin(
+        dir,
+        "slow.mjs",
+        `import { writeFileSync } from "node:fs";
+        export function collectTick({ signal }) {
+            return new Promise((resolve) => {
+                signal.addEventListener("abort", () => {
+                    writeFileSync(${JSON.stringify(abortedPath)}, "yes");
+                    setTimeout(() => resolve({ late: true }), 50);
+                });
+            });
+        }`,
+    );
+    const logged = [];
+    t.mock.method(console, "error", (message) => logged.push(message));
+    const collector = await startCollector(t, [slow], {
+        pluginTimeoutMs: 100,
+    });
+
+    const update = await collector.sample();
+    assert.deepEqual(update.plugins, { slow: null });
+    assert.equal(await readFile(abortedPath, "utf8"), "yes");
+    assert.deepEqual(logged, [
+        "Plugin slow collectTick() failed: timed out after 100ms",
+    ]);
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { access, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+
+import { hostArgs, makeTempDir, runCli } from "./helpers.js";
+
+async function record(t) {
+    const dir = await makeTempDir(t);
+    const result = await runCli(
+        [
+            ...hostArgs(),
+            "--updates=2",
+            "--interval-ms=100",
+            "--top-procs=2",
+            "--temps",
+            "--out=recorded.json",
+            "--record=rec.jsonl",
+        ],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 0, result.stderr);
+    const lines = (await readFile(path.join(dir, "rec.jsonl"), "utf8"))
+        .trim()
+        .split("\n");
+    return { dir, lines };
+}
+
+const replay = (dir) =>
+    runCli(["--replay=rec.jsonl", "--out=replayed.json"], { cwd: dir });
+
+const readJson = async (filePath) =>
+    JSON.parse(await readFile(filePath, "utf8"));
+
+test("a replay writes the same payload as the recorded run", async (t) => {
+    const { dir } = await record(t);
+    const result = await replay(dir);
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Replaying 2 ticks recorded at /);
+    assert.equal(
+        await readFile(path.join(dir, "replayed.json"), "utf8"),
+        await readFile(path.join(dir, "recorded.json"), "utf8"),
+    );
+});
+
+test("a recording cut off mid-line replays the ticks it completed", async (t) => {
+    const { dir, lines } = await record(t);
+    // Keep everything up to the clock read of the first tick, then half of
+    // the next line, as a run killed during its second tick leaves it.
+    const clockReads = lines
+        .map((line, index) => [JSON.parse(line), index])
+        .filter(([entry]) => entry.op === "now");
+    const cut = clockReads[1][1];
+    await writeFile(
+        path.join(dir, "rec.jsonl"),
+        `${lines.slice(0, cut + 1).join("\n")}\n${lines[cut + 1].slice(0, 20)}`,
+    );
+
+    const result = await replay(dir);
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Replaying 1 ticks recorded at /);
+    const replayed = await readJson(path.join(dir, "replayed.json"));
+    const recorded = await readJson(path.join(dir, "recorded.json"));
+    assert.equal(replayed.updates.length, 1);
+    assert.deepEqual(replayed.updates[0], recorded.updates[0]);
+});
+
+test("a replay that needs an unrecorded read fails and writes nothing", async (t) => {
+    const { dir, lines } = await record(t);
+    // diskstats readers tolerate a missing file, so only the replay check
+    // notices the second read is gone.
+    await writeFile(
+        path.join(dir, "rec.jsonl"),
+        `${lines
+            .filter((line) => {
+                const entry = JSON.parse(line);
+                return !(entry.key === "proc:diskstats" && entry.seq === 1);
+            })
+            .join("\n")}\n`,
+    );
+
+    const result = await replay(dir);
+    assert.equal(result.code, 1);
+    assert.match(
+        result.stderr,
+        /rec\.jsonl does not cover this replay \(1 missing reads, first: recording has no readFile #2 for "proc:diskstats"\)/,
+    );
+    await assert.rejects(access(path.join(dir, "replayed.json")), {
+        code: "ENOENT",
+    });
+});
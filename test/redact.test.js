@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+
+import { hostArgs, makeTempDir, runCli } from "./helpers.js";
+
+async function collect(t, args) {
+    const dir = await makeTempDir(t);
+    const result = await runCli(
+        [
+            ...hostArgs(),
+            "--updates=1",
+            "--interval-ms=100",
+            "--out=stats.json",
+            ...args,
+        ],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 0, result.stderr);
+    return JSON.parse(await readFile(path.join(dir, "stats.json"), "utf8"));
+}
+
+// Port 1 on loopback refuses the connection right away.
+const UNREACHABLE_UPS = "--ups-server=rack@127.0.0.1:1";
+
+test("--public hides where an unreachable UPS lives", async (t) => {
+    const payload = await collect(t, ["--public", UNREACHABLE_UPS]);
+    const [ups] = payload.upsDevices;
+    assert.equal(ups.status, "unavailable");
+    assert.equal(ups.error, "unavailable");
+    assert.match(ups.name, /^ups-[0-9a-f]{8}$/);
+    assert.match(ups.server, /^server-[0-9a-f]{8}$/);
+    assert.doesNotMatch(JSON.stringify(payload), /127\.0\.0\.1/);
+});
+
+test("--redact=ups:keep leaves UPS errors alone", async (t) => {
+    const payload = await collect(t, [
+        "--public",
+        "--redact=ups:keep",
+        UNREACHABLE_UPS,
+    ]);
+    assert.match(payload.ups.error, /ECONNREFUSED 127\.0\.0\.1:1/);
+    assert.equal(payload.ups.server, "127.0.0.1:1");
+});
+
+test("--public drops private sections and renames disks", async (t) => {
+    const payload = await collect(t, ["--public", "--top-procs=2"]);
+    assert.equal(payload.disks[0].name.startsWith("disk-"), true);
+    assert.equal(payload.disks[0].mountPoint, payload.disks[0].name);
+    assert.equal("processes" in payload.updates[0], false);
+});
+
+test("--public renames alerts and temperature probe labels", async (t) => {
+    const payload = await collect(t, [
+        "--public",
+        "--temps",
+        "--alert=root-full: disks[root].name contains r",
+        "--alert=pkg: temps.probes[1].label contains Package",
+    ]);
+    assert.deepEqual(
+        payload.alerts.map(({ name, rule, value }) => ({ name, rule, value })),
+        [
+            { name: "alert1", rule: "rule1", value: "value1" },
+            { name: "alert2", rule: "rule2", value: "value2" },
+        ],
+    );
+    const { probes } = payload.updates[0].temps;
+    assert.deepEqual(
+        probes.map((probe) => probe.label),
+        ["label1", "label2"],
+    );
+    const text = JSON.stringify({ alerts: payload.alerts, probes });
+    assert.doesNotMatch(text, /root|Package id 0|thermal_zone0/);
+});
+
+test("--redact=alerts:keep leaves alert rules alone", async (t) => {
+    const payload = await collect(t, [
+        "--public",
+        "--redact=alerts:keep",
+        "--alert=root-full: disks[root].usagePct >= 0",
+    ]);
+    const [alert] = payload.alerts;
+    assert.equal(alert.name, "root-full");
+    assert.equal(alert.rule, "root-full: disks[root].usagePct >= 0");
+    assert.equal(typeof alert.value, "number");
+});
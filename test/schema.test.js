@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { access, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import test from "node:test";
+
+import { PAYLOAD_SCHEMA } from "../webtop-gen.js";
+import { hostArgs, makeTempDir, runCli } from "./helpers.js";
+
+test("--print-schema prints the payload schema and exits", async () => {
+    const result = await runCli(["--print-schema"]);
+    assert.equal(result.code, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout), PAYLOAD_SCHEMA);
+});
+
+test("a payload that fails the schema is reported and not written", async (t) => {
+    const dir = await makeTempDir(t);
+    const recorded = await runCli(
+        [
+            ...hostArgs(),
+            "--updates=1",
+            "--interval-ms=100",
+            "--out=stats.json",
+            "--record=rec.jsonl",
+        ],
+        { cwd: dir },
+    );
+    assert.equal(recorded.code, 0, recorded.stderr);
+
+    // The parsers clean up odd file contents, so break a statfs result in
+    // the recording instead: the inode count of / becomes a string.
+    const recordingPath = path.join(dir, "rec.jsonl");
+    const lines = (await readFile(recordingPath, "utf8"))
+        .trim()
+        .split("\n")
+        .map((line) => {
+            const entry = JSON.parse(line);
+            if (entry.op !== "statfs") return line;
+            return JSON.stringify({
+                ...entry,
+                data: { ...entry.data, files: "lots" },
+            });
+        });
+    await writeFile(recordingPath, `${lines.join("\n")}\n`);
+
+    const result = await runCli(["--replay=rec.jsonl", "--out=replayed.json"], {
+        cwd: dir,
+    });
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Payload does not match schema v1:/);
+    assert.match(result.stderr, /disks\[0\]\.inodesTotal/);
+    await assert.rejects(access(path.join(dir, "replayed.json")), {
+        code: "ENOENT",
+    });
+});
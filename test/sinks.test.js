@@ -0,0 +1,211 @@
+import assert from "node:assert/strict";
+import { createSocket } from "node:dgram";
+import { once } from "node:events";
+import { readFile } from "node:fs/promises";
+import { createServer as createHttpServer } from "node:http";
+import { createServer as createTcpServer } from "node:net";
+import { hostname } from "node:os";
+import path from "node:path";
+import test from "node:test";
+
+import { hostArgs, makeTempDir, runCli } from "./helpers.js";
+
+const HOST_TAG = hostname().replace(/[,= ]/g, "\\$&");
+const HOST_SEGMENT = hostname().replace(/[^\w-]+/g, "_") || "_";
+// The fixture's MemTotal, 8 GiB.
+const MEMORY_TOTAL_BYTES = 8 * 1024 ** 3;
+
+async function collect(t, sinks) {
+    const dir = await makeTempDir(t);
+    const result = await runCli(
+        [
+            ...hostArgs(),
+            "--updates=2",
+            "--interval-ms=100",
+            "--out=stats.json",
+            ...sinks.map((sink) => `--sink=${sink}`),
+        ],
+        { cwd: dir },
+    );
+    assert.equal(result.code, 0, result.stderr);
+    // Whatever the sinks did, the JSON output is written.
+    const payload = JSON.parse(
+        await readFile(path.join(dir, "stats.json"), "utf8"),
+    );
+    assert.equal(payload.updates.length, 2);
+    return { dir, stderr: result.stderr };
+}
+
+async function listen(t, server, host = "127.0.0.1") {
+    server.listen(0, host);
+    await once(server, "listening");
+    t.after(() => {
+        server.closeAllConnections?.();
+        server.close();
+    });
+    return server.address().port;
+}
+
+test("influx: appends line protocol to a file", async (t) => {
+    const { dir } = await collect(t, ["influx:metrics.lp"]);
+    const lines = (await readFile(path.join(dir, "metrics.lp"), "utf8"))
+        .trim()
+        .split("\n");
+
+    const memory = lines.filter((line) =>
+        line.startsWith("webtop_memory_total_bytes,"),
+    );
+    assert.equal(memory.length, 2, "one line per tick");
+    assert.match(
+        memory[0],
+        new RegExp(
+            `^webtop_memory_total_bytes,host=${HOST_TAG.replace(/\W/g, "\\$&")} value=${MEMORY_TOTAL_BYTES} \\d{19}$`,
+        ),
+    );
+    assert.ok(
+        lines.some((line) =>
+            /^webtop_disk_usage_percent,host=\S+,disk=root,mountpoint=\/,fstype=ext4 value=\d+ \d+$/.test(
+                line,
+            ),
+        ),
+    );
+    // Tag values are escaped: the probe label has spaces.
+    assert.ok(
+        lines.some((line) =>
+            line.startsWith(
+                `webtop_cpu_temperature_celsius,host=${HOST_TAG},source=hwmon:coretemp/Package\\ id\\ 0 value=47 `,
+            ),
+        ),
+    );
+});
+
+test("influx: posts to an HTTP write endpoint with the token", async (t) => {
+    const requests = [];
+    const server = createHttpServer((req, res) => {
+        let body = "";
+        req.setEncoding("utf8");
+        req.on("data", (chunk) => {
+            body += chunk;
+        });
+        req.on("end", () => {
+            requests.push({ url: req.url, headers: req.headers, body });
+            res.writeHead(204).end();
+        });
+    });
+    const port = await listen(t, server);
+    const dir = await makeTempDir(t);
+    const result = await runCli(
+        [
+            ...hostArgs(),
+            "--updates=1",
+            "--interval-ms=100",
+            "--out=stats.json",
+            `--sink=influx:http://127.0.0.1:${port}/api/v2/write?bucket=hosts`,
+        ],
+        { cwd: dir, env: { WEBTOP_INFLUX_TOKEN: "s3cret" } },
+    );
+    assert.equal(result.code, 0, result.stderr);
+
+    assert.equal(requests.length, 1);
+    const [request] = requests;
+    assert.equal(request.url, "/api/v2/write?bucket=hosts");
+    assert.equal(request.headers.authorization, "Token s3cret");
+    assert.match(request.headers["content-type"], /^text\/plain/);
+    assert.match(
+        request.body,
+        new RegExp(
+            `^webtop_memory_total_bytes,host=\\S+ value=${MEMORY_TOTAL_BYTES} `,
+            "m",
+        ),
+    );
+});
+
+test("graphite: sends plaintext lines over TCP", async (t) => {
+    const received = [];
+    const server = createTcpServer((socket) => {
+        let data = "";
+        socket.setEncoding("utf8");
+        socket.on("data", (chunk) => {
+            data += chunk;
+        });
+        socket.on("end", () => received.push(data));
+    });
+    const port = await listen(t, server);
+    await collect(t, [`graphite:127.0.0.1:${port}`]);
+
+    assert.equal(received.length, 2, "one connection per tick");
+    const lines = received[0].trim().split("\n");
+    const memory = lines.find((line) =>
+        line.startsWith(`webtop.${HOST_SEGMENT}.memory_total_bytes `),
+    );
+    assert.match(memory, new RegExp(` ${MEMORY_TOTAL_BYTES} \\d{10}$`));
+    assert.ok(
+        lines.some((line) =>
+            line.startsWith(
+                `webtop.${HOST_SEGMENT}.cpu_usage_percent.cpu.total `,
+            ),
+        ),
+    );
+});
+
+test("statsd: sends gauges over UDP", async (t) => {
+    const socket = createSocket("udp4");
+    const packets = [];
+    socket.on("message", (message) => packets.push(message.toString("utf8")));
+    socket.bind(0, "127.0.0.1");
+    await once(socket, "listening");
+    t.after(() => socket.close());
+
+    await collect(t, [`statsd:127.0.0.1:${socket.address().port}`]);
+    // UDP delivery on loopback is immediate, but give the last packet a
+    // moment to be read.
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const lines = packets.flatMap((packet) => packet.split("\n"));
+    assert.ok(packets.every((packet) => Buffer.byteLength(packet) <= 1432));
+    assert.equal(
+        lines.filter(
+            (line) =>
+                line ===
+                `webtop.${HOST_SEGMENT}.memory_total_bytes:${MEMORY_TOTAL_BYTES}|g`,
+        ).length,
+        2,
+    );
+    assert.ok(lines.every((line) => /^webtop\.\S+:-?[\d.e+-]+\|g$/.test(line)));
+});
+
+test("a failing sink does not stop the others", async (t) => {
+    const failing = createHttpServer((req, res) => {
+        req.resume();
+        req.on("end", () => res.writeHead(500).end("boom"));
+    });
+    const failingPort = await listen(t, failing);
+    // A port that refuses connections: bind one, then close it.
+    const closed = createTcpServer();
+    closed.listen(0, "127.0.0.1");
+    await once(closed, "listening");
+    const closedPort = closed.address().port;
+    closed.close();
+
+    const { dir, stderr } = await collect(t, [
+        `influx:http://127.0.0.1:${failingPort}/write`,
+        `graphite:127.0.0.1:${closedPort}`,
+        "influx:metrics.lp",
+    ]);
+    assert.match(
+        stderr,
+        /Sink influx:http:\/\/127\.0\.0\.1:\d+ failed: HTTP 500: boom/,
+    );
+    assert.match(
+        stderr,
+        /Sink graphite:127\.0\.0\.1:\d+ failed: connect ECONNREFUSED/,
+    );
+    const lines = (await readFile(path.join(dir, "metrics.lp"), "utf8"))
+        .trim()
+        .split("\n");
+    assert.equal(
+        lines.filter((line) => line.startsWith("webtop_memory_total_bytes,"))
+            .length,
+        2,
+    );
+});
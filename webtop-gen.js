@@ -1,101 +1,979 @@
 #!/usr/bin/env node
 
 import { execFile } from "node:child_process";
-import { readdir, readFile, mkdir, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { createSocket } from "node:dgram";
+import { createWriteStream, realpathSync } from "node:fs";
+import {
+    appendFile,
+    lstat,
+    readdir,
+    readFile,
+    mkdir,
+    realpath,
+    rename,
+    stat,
+    statfs,
+    unlink,
+    writeFile,
+} from "node:fs/promises";
+import { createServer, request as httpRequest } from "node:http";
+import { connect } from "node:net";
+import { hostname } from "node:os";
 import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
 import { promisify } from "node:util";
+import { brotliCompress, constants as zlibConstants, gzip } from "node:zlib";
 
 const execFileAsync = promisify(execFile);
 
-const DEFAULTS = {
-    updates: 10,
-    intervalMs: 1000,
-    iface: "",
-    maxDisks: 8,
-    cpuTempId: "",
-    diskTempId: "",
-    upsServer: "",
+// Sections --public-sections can allow; "memory" covers both the static and
+// the per-tick memory, "disks" includes diskTempC, and "metrics" is the
+// unredacted Prometheus text.
+const PUBLIC_SECTIONS = [
+    "memory",
+    "disks",
+    "cpuFreq",
+    "ups",
+    "alerts",
+    "history",
+    "cpu",
+    "network",
+    "interfaces",
+    "temps",
+    "pressure",
+    "diskIo",
+    "processes",
+    "cgroups",
+    "plugins",
+    "metrics",
+];
+const DEFAULT_PUBLIC_SECTIONS = PUBLIC_SECTIONS.filter(
+    (section) =>
+        !["processes", "cgroups", "plugins", "metrics"].includes(section),
+);
+const REDACTION_FIELDS = {
+    mounts: { actions: ["keep", "hash", "index"], public: "hash" },
+    interfaces: { actions: ["keep", "hash", "index"], public: "hash" },
+    sensors: { actions: ["keep", "hash", "index"], public: "index" },
+    ups: { actions: ["keep", "hash", "index"], public: "hash" },
+    alerts: { actions: ["keep", "hash", "index"], public: "index" },
+    network: { actions: ["keep", "coarse"], public: "coarse" },
+    "disk-size": { actions: ["keep", "coarse"], public: "coarse" },
+    cmdline: { actions: ["keep", "drop"], public: "drop" },
 };
 
-const EXCLUDED_FS = new Set([
-    "tmpfs",
-    "devtmpfs",
-    "overlay",
-    "squashfs",
-    "proc",
-    "sysfs",
-    "cgroup",
-    "cgroup2",
-    "tracefs",
-    "debugfs",
-    "mqueue",
-    "hugetlbfs",
-    "fusectl",
-    "securityfs",
-    "pstore",
-    "configfs",
-    "ramfs",
-    "autofs",
-]);
+const COMPRESSORS = {
+    gzip: { extension: ".gz", compress: promisify(gzip) },
+    br: {
+        extension: ".br",
+        compress: (data) =>
+            promisify(brotliCompress)(data, {
+                params: {
+                    [zlibConstants.BROTLI_PARAM_MODE]:
+                        zlibConstants.BROTLI_MODE_TEXT,
+                },
+            }),
+    },
+};
 
-function parseArgs(argv) {
-    const options = { ...DEFAULTS };
-    const overrides = new Set();
+// History buckets kept on disk: one day of minutes and thirty days of hours.
+const HISTORY_RETENTION = { minutes: 1440, hours: 720 };
+
+const OPTION_SPECS = [
+    {
+        name: "out",
+        flag: "out",
+        type: "string",
+        default: "",
+        arg: "<path>",
+        emptyLabel: "off",
+        help: "Output file path (required unless --listen is set)",
+    },
+    {
+        name: "updates",
+        flag: "updates",
+        type: "int",
+        min: 1,
+        max: 600,
+        default: 10,
+        arg: "<n>",
+        help: "Number of tick updates to capture, or to keep in daemon mode",
+    },
+    {
+        name: "intervalMs",
+        flag: "interval-ms",
+        type: "int",
+        min: 100,
+        max: 60000,
+        default: 1000,
+        arg: "<n>",
+        help: "Milliseconds between samples",
+    },
+    {
+        name: "iface",
+        flag: "iface",
+        type: "string",
+        default: "",
+        arg: "<names>",
+        emptyLabel: "auto",
+        help: 'Network interface, or a comma list/glob/"all" for per-interface stats',
+    },
+    {
+        name: "includeMounts",
+        flag: "include-mounts",
+        type: "list",
+        default: [],
+        arg: "<globs>",
+        emptyLabel: "all",
+        validate: globToRegExp,
+        help: "Only report mount points matching one of these globs",
+    },
+    {
+        name: "excludeMounts",
+        flag: "exclude-mounts",
+        type: "list",
+        default: ["/snap**", "**efi**", "**EFI**"],
+        arg: "<globs>",
+        emptyLabel: "none",
+        validate: globToRegExp,
+        help: "Skip mount points matching any of these globs",
+    },
+    {
+        name: "excludeFs",
+        flag: "exclude-fs",
+        type: "list",
+        default: [
+            "tmpfs",
+            "devtmpfs",
+            "overlay",
+            "squashfs",
+            "proc",
+            "sysfs",
+            "cgroup",
+            "cgroup2",
+            "tracefs",
+            "debugfs",
+            "mqueue",
+            "hugetlbfs",
+            "fusectl",
+            "securityfs",
+            "pstore",
+            "configfs",
+            "ramfs",
+            "autofs",
+            "devpts",
+            "nsfs",
+            "bpf",
+            "binfmt_misc",
+            "efivarfs",
+            "rpc_pipefs",
+        ],
+        arg: "<globs>",
+        emptyLabel: "none",
+        validate: globToRegExp,
+        help: "Skip filesystems whose type matches any of these globs",
+    },
+    {
+        name: "maxDisks",
+        flag: "max-disks",
+        type: "int",
+        min: 1,
+        max: 64,
+        default: 8,
+        arg: "<n>",
+        help: "Max number of disk rows to emit",
+    },
+    {
+        name: "cpuTempId",
+        flag: "cpu-temp-id",
+        type: "string",
+        default: "",
+        arg: "<id>",
+        emptyLabel: "auto",
+        help: "Preferred CPU temp sensor id, e.g. k10temp-pci-00c3/Tctl",
+    },
+    {
+        name: "diskTempId",
+        flag: "disk-temp-id",
+        type: "string",
+        default: "",
+        arg: "<id>",
+        emptyLabel: "auto",
+        help: "Preferred disk temp sensor id, e.g. nvme-pci-0300/Composite",
+    },
+    {
+        name: "upsServer",
+        flag: "ups-server",
+        type: "list",
+        default: [],
+        arg: "<targets>",
+        emptyLabel: "off",
+        normalize: normalizeUpsServerTarget,
+        validate: parseUpsTarget,
+        help: "NUT targets (ups[@host[:port]], *@host for all), comma separated or repeated",
+    },
+    {
+        name: "upsUser",
+        flag: "ups-user",
+        type: "string",
+        default: "",
+        arg: "<name>",
+        emptyLabel: "off",
+        help: "NUT user name, for servers that restrict reads",
+    },
+    {
+        name: "upsPassword",
+        flag: "ups-password",
+        type: "string",
+        default: "",
+        arg: "<password>",
+        emptyLabel: "off",
+        secret: true,
+        help: "NUT password; prefer WEBTOP_UPS_PASSWORD over the command line",
+    },
+    {
+        name: "daemon",
+        flag: "daemon",
+        type: "boolean",
+        default: false,
+        help: "Keep sampling forever, keeping the last --updates ticks",
+    },
+    {
+        name: "writeEvery",
+        flag: "write-every",
+        type: "int",
+        min: 1,
+        max: 3600,
+        default: 1,
+        arg: "<n>",
+        help: "Daemon mode: rewrite --out every n ticks",
+    },
+    {
+        name: "listen",
+        flag: "listen",
+        type: "string",
+        default: "",
+        arg: "<addr>",
+        emptyLabel: "off",
+        validate: (value) => {
+            parseListenAddress(value);
+        },
+        help: "Serve /stats.json, /events and /metrics on host:port or unix:<path> (implies --daemon)",
+    },
+    {
+        name: "aggregate",
+        flag: "aggregate",
+        type: "list",
+        default: [],
+        arg: "<source>",
+        emptyLabel: "off",
+        validate: parseAggregateSource,
+        help: "Merge other instances' payloads instead of sampling: [id=]<url|unix:socket|file>; repeatable",
+    },
+    {
+        name: "staleAfterSec",
+        flag: "stale-after",
+        type: "int",
+        min: 1,
+        max: 86400,
+        default: 30,
+        arg: "<sec>",
+        help: "With --aggregate, mark hosts stale when their newest sample is older than this",
+    },
+    {
+        name: "format",
+        flag: "format",
+        type: "enum",
+        values: ["json", "prometheus"],
+        default: "json",
+        arg: "<fmt>",
+        help: "Output file format: json or prometheus",
+    },
+    {
+        name: "encoding",
+        flag: "encoding",
+        type: "enum",
+        values: ["json", "compact"],
+        default: "json",
+        arg: "<enc>",
+        help: "JSON layout: json (pretty) or compact (columnar updates, minified)",
+    },
+    {
+        name: "compress",
+        flag: "compress",
+        type: "list",
+        default: [],
+        arg: "<list>",
+        emptyLabel: "off",
+        normalize: (value) => value.trim().toLowerCase(),
+        validate: (value) => {
+            if (!COMPRESSORS[value]) {
+                throw new Error(
+                    `unknown compression "${value}" (expected gzip or br)`,
+                );
+            }
+        },
+        help: "Also write --out as .gz and/or .br siblings: gzip, br",
+    },
+    {
+        name: "public",
+        flag: "public",
+        type: "boolean",
+        default: false,
+        help: "Redact names and coarsen values in JSON output meant for a public page",
+    },
+    {
+        name: "redact",
+        flag: "redact",
+        type: "list",
+        default: [],
+        arg: "<rules>",
+        emptyLabel: "none",
+        normalize: (value) => value.trim().toLowerCase(),
+        validate: parseRedactRule,
+        help: "Per-field redaction overriding the --public profile, e.g. mounts:index,network:keep",
+    },
+    {
+        name: "publicSections",
+        flag: "public-sections",
+        type: "list",
+        default: DEFAULT_PUBLIC_SECTIONS,
+        arg: "<list>",
+        emptyLabel: "none",
+        normalize: (value) => value.trim(),
+        validate: (value) => {
+            if (!PUBLIC_SECTIONS.includes(value)) {
+                throw new Error(
+                    `unknown section "${value}" (expected ${PUBLIC_SECTIONS.join(", ")})`,
+                );
+            }
+        },
+        help: "With --public, the payload sections that may be emitted at all",
+    },
+    {
+        name: "redactSalt",
+        flag: "redact-salt",
+        type: "string",
+        default: "",
+        arg: "<salt>",
+        emptyLabel: "off",
+        secret: true,
+        help: "Secret mixed into hashed names so they cannot be guessed",
+    },
+    {
+        name: "sinks",
+        flag: "sink",
+        type: "list",
+        default: [],
+        arg: "<sink>",
+        emptyLabel: "none",
+        validate: parseSinkTarget,
+        help: "Also push metrics every tick to influx:<file|url>, graphite:<host[:port]> or statsd:<host[:port]>; repeatable",
+    },
+    {
+        name: "influxToken",
+        flag: "influx-token",
+        type: "string",
+        default: "",
+        arg: "<token>",
+        emptyLabel: "off",
+        secret: true,
+        help: "Token sent with InfluxDB HTTP writes",
+    },
+    {
+        name: "topProcs",
+        flag: "top-procs",
+        type: "int",
+        min: 0,
+        max: 100,
+        default: 0,
+        arg: "<n>",
+        help: "Emit the top n processes by CPU and by RSS per tick, 0 is off",
+    },
+    {
+        name: "topCgroups",
+        flag: "top-cgroups",
+        type: "int",
+        min: 0,
+        max: 100,
+        default: 0,
+        arg: "<n>",
+        help: "Emit the top n cgroups (containers, services) by CPU and by memory per tick, 0 is off",
+    },
+    {
+        name: "plugins",
+        flag: "plugin",
+        type: "list",
+        default: [],
+        arg: "<path>",
+        emptyLabel: "off",
+        help: "Load an ES module exporting collectStatic() and/or collectTick() into payload.plugins; repeatable",
+    },
+    {
+        name: "pluginTimeoutMs",
+        flag: "plugin-timeout-ms",
+        type: "int",
+        min: 10,
+        max: 60000,
+        default: 2000,
+        arg: "<ms>",
+        help: "Give up on a plugin hook after this long and emit null for it",
+    },
+    {
+        name: "hideCmdline",
+        flag: "hide-cmdline",
+        type: "boolean",
+        default: false,
+        help: "Omit process command lines from the process list",
+    },
+    {
+        name: "cpuBreakdown",
+        flag: "cpu-breakdown",
+        type: "boolean",
+        default: false,
+        help: "Emit user/system/iowait/steal/... percentages per tick",
+    },
+    {
+        name: "temps",
+        flag: "temps",
+        type: "boolean",
+        default: false,
+        help: "Emit every temperature probe per tick and per-disk temperatures",
+    },
+    {
+        name: "alertRules",
+        flag: "alert",
+        type: "list",
+        default: [],
+        arg: "<rule>",
+        emptyLabel: "none",
+        separator: ";",
+        validate: parseAlertRule,
+        help: 'Alert rule such as "cpu-hot: cpu.tempC > 85 for 3 ticks"; repeatable',
+    },
+    {
+        name: "alertCommand",
+        flag: "alert-command",
+        type: "string",
+        default: "",
+        arg: "<cmd>",
+        emptyLabel: "off",
+        help: "Shell command run when an alert fires or resolves",
+    },
+    {
+        name: "alertWebhook",
+        flag: "alert-webhook",
+        type: "string",
+        default: "",
+        arg: "<url>",
+        emptyLabel: "off",
+        secret: true,
+        validate: parseWebhookUrl,
+        help: "URL that receives a JSON POST when an alert fires or resolves",
+    },
+    {
+        name: "history",
+        flag: "history",
+        type: "string",
+        default: "",
+        arg: "<path>",
+        emptyLabel: "off",
+        help: "File that keeps 1-minute and 1-hour min/avg/max buckets between runs",
+    },
+    {
+        name: "historyMinutes",
+        flag: "history-minutes",
+        type: "int",
+        min: 0,
+        max: HISTORY_RETENTION.minutes,
+        default: 60,
+        arg: "<n>",
+        help: "Number of 1-minute history buckets in the output",
+    },
+    {
+        name: "historyHours",
+        flag: "history-hours",
+        type: "int",
+        min: 0,
+        max: HISTORY_RETENTION.hours,
+        default: 24,
+        arg: "<n>",
+        help: "Number of 1-hour history buckets in the output",
+    },
+    {
+        name: "procRoot",
+        flag: "proc-root",
+        type: "string",
+        default: "/proc",
+        arg: "<path>",
+        nonEmpty: true,
+        help: "Where procfs is mounted, e.g. /host/proc in a container",
+    },
+    {
+        name: "sysRoot",
+        flag: "sys-root",
+        type: "string",
+        default: "/sys",
+        arg: "<path>",
+        nonEmpty: true,
+        help: "Where sysfs is mounted, e.g. /host/sys in a container",
+    },
+    {
+        name: "etcRoot",
+        flag: "etc-root",
+        type: "string",
+        default: "/etc",
+        arg: "<path>",
+        nonEmpty: true,
+        help: "Directory holding the passwd file used for process owners",
+    },
+    {
+        name: "mountRoot",
+        flag: "mount-root",
+        type: "string",
+        default: "/",
+        arg: "<path>",
+        nonEmpty: true,
+        help: "Directory the mount points in mountinfo are measured under",
+    },
+    {
+        name: "sensorsCmd",
+        flag: "sensors-cmd",
+        type: "string",
+        default: "sensors",
+        arg: "<cmd>",
+        nonEmpty: true,
+        help: "Command used for lm-sensors readings",
+    },
+    {
+        name: "record",
+        flag: "record",
+        type: "string",
+        default: "",
+        arg: "<path>",
+        emptyLabel: "off",
+        help: "Save every raw input read during the run to a JSONL file",
+    },
+    {
+        name: "replay",
+        flag: "replay",
+        type: "string",
+        default: "",
+        arg: "<path>",
+        emptyLabel: "off",
+        help: "Rebuild the payload offline from a --record file",
+    },
+];
+
+const DEFAULTS = Object.fromEntries(
+    OPTION_SPECS.map((spec) => [spec.name, spec.default]),
+);
+
+const ENV_PREFIX = "WEBTOP_";
+
+// /proc/stat reports jiffies in USER_HZ, which is fixed at 100 for userspace.
+const USER_HZ = 100;
+
+function flagToEnvName(flag) {
+    return `${ENV_PREFIX}${flag.toUpperCase().replace(/-/g, "_")}`;
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i += 1) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            const above = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+function flagToOptionName(flag) {
+    return OPTION_SPECS.find((spec) => spec.flag === flag)?.name ?? flag;
+}
+
+function suggestFlag(key, format = (flag) => flag) {
+    const normalized = key.replace(
+        /[A-Z]/g,
+        (char) => `-${char.toLowerCase()}`,
+    );
+    const close = OPTION_SPECS.map((spec) => spec.flag).find(
+        (flag) =>
+            flag.startsWith(normalized) ||
+            normalized.startsWith(flag) ||
+            editDistance(flag, normalized) <= 2,
+    );
+    return close ? ` (did you mean ${format(close)}?)` : "";
+}
+
+function coerceOptionValue(spec, raw) {
+    switch (spec.type) {
+        case "boolean":
+            if (raw === undefined || raw === true || raw === "true") {
+                return { value: true };
+            }
+            if (raw === false || raw === "false") return { value: false };
+            return {
+                error: `expected true or false, got ${JSON.stringify(raw)}`,
+            };
+        case "int": {
+            const valid =
+                typeof raw === "number" ||
+                (typeof raw === "string" && /^\s*-?\d+\s*$/.test(raw));
+            const value = valid ? Number(raw) : NaN;
+            if (!Number.isInteger(value)) {
+                return {
+                    error: `expected an integer, got ${JSON.stringify(raw ?? "")}`,
+                };
+            }
+            if (value < spec.min || value > spec.max) {
+                return {
+                    error: `must be between ${spec.min} and ${spec.max}, got ${value}`,
+                };
+            }
+            return { value };
+        }
+        case "list": {
+            const items = Array.isArray(raw)
+                ? raw
+                : typeof raw === "string"
+                  ? raw.split(spec.separator ?? ",")
+                  : null;
+            if (!items || items.some((item) => typeof item !== "string")) {
+                return {
+                    error: `expected a ${spec.separator === ";" ? "semicolon" : "comma"}-separated list, got ${raw === undefined ? "no value" : JSON.stringify(raw)}`,
+                };
+            }
+            const value = [];
+            for (const item of items) {
+                const normalized = spec.normalize
+                    ? spec.normalize(item)
+                    : item.trim();
+                if (!normalized) continue;
+                try {
+                    spec.validate?.(normalized);
+                } catch (error) {
+                    return {
+                        error:
+                            error instanceof Error
+                                ? error.message
+                                : String(error),
+                    };
+                }
+                value.push(normalized);
+            }
+            return { value };
+        }
+        case "enum": {
+            const value =
+                typeof raw === "string" ? raw.trim().toLowerCase() : "";
+            if (!spec.values.includes(value)) {
+                return {
+                    error: `expected one of ${spec.values.join(", ")}, got ${JSON.stringify(raw ?? "")}`,
+                };
+            }
+            return { value };
+        }
+        default: {
+            if (typeof raw !== "string") {
+                return {
+                    error: `expected a string, got ${raw === undefined ? "no value" : JSON.stringify(raw)}`,
+                };
+            }
+            const value = spec.normalize ? spec.normalize(raw) : raw.trim();
+            if (!value && spec.nonEmpty) {
+                return { error: "must not be empty" };
+            }
+            if (value && spec.validate) {
+                try {
+                    spec.validate(value);
+                } catch (error) {
+                    return {
+                        error:
+                            error instanceof Error
+                                ? error.message
+                                : String(error),
+                    };
+                }
+            }
+            return { value };
+        }
+    }
+}
+
+function stripConfigComment(line) {
+    let quote = "";
+    for (let i = 0; i < line.length; i += 1) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote) quote = "";
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+function parseConfigScalar(text) {
+    const value = text.trim();
+    if (/^".*"$/.test(value)) return JSON.parse(value);
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+    if (value === "true" || value === "false") return value === "true";
+    if (value === "null" || value === "~") return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (/^\[.*\]$/.test(value)) {
+        return value
+            .slice(1, -1)
+            .split(",")
+            .map((part) => part.trim())
+            .filter(Boolean)
+            .map(parseConfigScalar);
+    }
+    return value;
+}
 
+// A deliberately small YAML subset: top-level "key: value" pairs and
+// "- item" lists. Anything nested belongs in a JSON config instead.
+function parseSimpleYaml(raw, filePath) {
+    const result = {};
+    let listKey = "";
+
+    raw.split("\n").forEach((rawLine, index) => {
+        const line = stripConfigComment(rawLine).trimEnd();
+        if (!line.trim() || line.trim() === "---") return;
+        const where = `${filePath}:${index + 1}`;
+
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item) {
+            if (!listKey) {
+                throw new Error(`${where}: list item without a key`);
+            }
+            result[listKey].push(parseConfigScalar(item[1]));
+            return;
+        }
+        if (/^\s/.test(line)) {
+            throw new Error(
+                `${where}: nested values are not supported here, use a JSON config`,
+            );
+        }
+
+        const separator = line.indexOf(":");
+        if (separator === -1) {
+            throw new Error(`${where}: expected "key: value"`);
+        }
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        if (value) {
+            result[key] = parseConfigScalar(value);
+            listKey = "";
+        } else {
+            result[key] = [];
+            listKey = key;
+        }
+    });
+
+    return result;
+}
+
+async function readConfigFile(configPath) {
+    const filePath = path.resolve(process.cwd(), configPath);
+    let raw = "";
+    try {
+        raw = await readFile(filePath, "utf8");
+    } catch (error) {
+        throw new Error(
+            `Cannot read config file ${filePath} (${error instanceof Error ? error.message : String(error)}).`,
+        );
+    }
+
+    if (filePath.endsWith(".json") || raw.trimStart().startsWith("{")) {
+        try {
+            const parsed = JSON.parse(raw);
+            if (
+                !parsed ||
+                typeof parsed !== "object" ||
+                Array.isArray(parsed)
+            ) {
+                throw new Error("top level must be an object");
+            }
+            return { filePath, values: parsed };
+        } catch (error) {
+            throw new Error(
+                `Invalid JSON in config file ${filePath} (${error instanceof Error ? error.message : String(error)}).`,
+            );
+        }
+    }
+    return { filePath, values: parseSimpleYaml(raw, filePath) };
+}
+
+async function parseArgs(argv, env = process.env) {
+    const errors = [];
+    const specsByKey = new Map();
+    for (const spec of OPTION_SPECS) {
+        specsByKey.set(spec.flag, spec);
+        specsByKey.set(spec.name, spec);
+    }
+
+    const cliValues = [];
+    let help = false;
+    let printSchema = false;
+    let configPath = env[`${ENV_PREFIX}CONFIG`] ?? "";
     for (const arg of argv) {
         if (arg === "--help" || arg === "-h") {
-            options.help = true;
+            help = true;
             continue;
         }
-        if (!arg.startsWith("--")) continue;
-        const [keyRaw, valueRaw] = arg.slice(2).split("=");
-        const key = keyRaw.trim();
-        const value = (valueRaw ?? "").trim();
-
-        if (key === "updates" && value) {
-            options.updates = Number(value);
-            overrides.add("updates");
+        if (arg === "--print-schema") {
+            printSchema = true;
+            continue;
+        }
+        if (!arg.startsWith("--")) {
+            errors.push(`unexpected argument ${JSON.stringify(arg)}`);
+            continue;
         }
-        if (key === "interval-ms" && value) {
-            options.intervalMs = Number(value);
-            overrides.add("interval-ms");
+        const separator = arg.indexOf("=");
+        const key = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+        const value = separator === -1 ? undefined : arg.slice(separator + 1);
+        if (key === "config") {
+            if (!value) {
+                errors.push("--config needs a path, as in --config=<path>");
+                continue;
+            }
+            configPath = value;
+            continue;
         }
-        if (key === "out" && value) {
-            options.out = value;
-            overrides.add("out");
+        const spec = OPTION_SPECS.find((candidate) => candidate.flag === key);
+        if (!spec) {
+            errors.push(
+                `unknown option --${key}${suggestFlag(key, (flag) => `--${flag}`)}`,
+            );
+            continue;
         }
-        if (key === "iface" && value) {
-            options.iface = value;
-            overrides.add("iface");
+        cliValues.push([spec, value]);
+    }
+    if (help || printSchema) {
+        return {
+            options: { ...DEFAULTS },
+            sources: new Map(),
+            configPath,
+            help,
+            printSchema,
+        };
+    }
+
+    const layers = [];
+    if (configPath) {
+        const config = await readConfigFile(configPath);
+        configPath = config.filePath;
+        const entries = [];
+        for (const [key, value] of Object.entries(config.values)) {
+            const spec = specsByKey.get(key);
+            if (!spec) {
+                errors.push(
+                    `unknown key "${key}" in ${config.filePath}${suggestFlag(key)}`,
+                );
+                continue;
+            }
+            if (value !== null) entries.push([spec, value]);
         }
-        if (key === "max-disks" && value) {
-            options.maxDisks = Number(value);
-            overrides.add("max-disks");
+        layers.push({
+            source: "config",
+            label: (spec) => `${spec.flag} in ${config.filePath}`,
+            entries,
+        });
+    }
+
+    const envEntries = [];
+    for (const [name, value] of Object.entries(env)) {
+        if (!name.startsWith(ENV_PREFIX) || name === `${ENV_PREFIX}CONFIG`) {
+            continue;
         }
-        if (key === "cpu-temp-id" && value) {
-            options.cpuTempId = value;
-            overrides.add("cpu-temp-id");
+        const spec = OPTION_SPECS.find(
+            (candidate) => flagToEnvName(candidate.flag) === name,
+        );
+        if (!spec) {
+            const key = name
+                .slice(ENV_PREFIX.length)
+                .toLowerCase()
+                .replace(/_/g, "-");
+            errors.push(
+                `unknown environment variable ${name}${suggestFlag(key, flagToEnvName)}`,
+            );
+            continue;
         }
-        if (key === "disk-temp-id" && value) {
-            options.diskTempId = value;
-            overrides.add("disk-temp-id");
+        envEntries.push([spec, value]);
+    }
+    layers.push({
+        source: "env",
+        label: (spec) => flagToEnvName(spec.flag),
+        entries: envEntries,
+    });
+    layers.push({
+        source: "cli",
+        label: (spec) => `--${spec.flag}`,
+        entries: cliValues,
+    });
+
+    const options = { ...DEFAULTS };
+    const sources = new Map(OPTION_SPECS.map((spec) => [spec.name, "default"]));
+    for (const layer of layers) {
+        // A list flag given twice in the same layer adds to itself; a later
+        // layer still replaces it.
+        const listsSeen = new Set();
+        for (const [spec, raw] of layer.entries) {
+            const result = coerceOptionValue(spec, raw);
+            if ("error" in result) {
+                errors.push(`${layer.label(spec)}: ${result.error}`);
+                continue;
+            }
+            options[spec.name] =
+                spec.type === "list" && listsSeen.has(spec.name)
+                    ? [...options[spec.name], ...result.value]
+                    : result.value;
+            if (spec.type === "list") listsSeen.add(spec.name);
+            sources.set(spec.name, layer.source);
         }
-        if (key === "ups-server" && value) {
-            options.upsServer = value;
-            overrides.add("ups-server");
+    }
+
+    if (options.record && options.replay) {
+        errors.push("--record and --replay cannot be used together");
+    }
+    // The aggregate embeds the sources' payloads as they were served, so
+    // redaction and encoding have to happen on the source instances.
+    if (options.aggregate.length > 0) {
+        const unsupported = [
+            options.public && "--public",
+            options.redact.length > 0 && "--redact",
+            options.encoding !== "json" && `--encoding=${options.encoding}`,
+        ].filter(Boolean);
+        if (unsupported.length > 0) {
+            errors.push(
+                `${unsupported.join(", ")} cannot be used with --aggregate; set ${unsupported.length > 1 ? "them" : "it"} on the source instances`,
+            );
         }
     }
 
-    options.updates = clampInt(options.updates, 1, 600);
-    options.intervalMs = clampInt(options.intervalMs, 100, 60000);
-    options.maxDisks = clampInt(options.maxDisks, 1, 64);
-    options.upsServer = normalizeUpsServerTarget(options.upsServer);
-    return { options, overrides };
-}
+    if (errors.length > 0) {
+        throw new Error(
+            `Invalid options:\n${errors.map((error) => `  - ${error}`).join("\n")}`,
+        );
+    }
 
-function clampInt(value, min, max) {
-    if (!Number.isFinite(value)) return min;
-    return Math.max(min, Math.min(max, Math.floor(value)));
+    if (options.listen) {
+        options.daemon = true;
+    }
+    return { options, sources, configPath, help, printSchema };
 }
 
 function clamp(value, min, max) {
@@ -106,50 +984,67 @@ function sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+function formatOptionValue(spec, value) {
+    if (spec.type === "boolean") return value ? "on" : "off";
+    if (value === "" || (Array.isArray(value) && value.length === 0)) {
+        return spec.emptyLabel ?? '""';
+    }
+    if (spec.secret) return "(set)";
+    return Array.isArray(value)
+        ? value.join(spec.separator === ";" ? "; " : ",")
+        : String(value);
+}
+
 function usage() {
+    const rows = [
+        [
+            "--config=<path>",
+            "JSON or simple YAML file holding any of the options below",
+        ],
+        ...OPTION_SPECS.map((spec) => {
+            const defaultText =
+                spec.default === "" ||
+                spec.default === false ||
+                (Array.isArray(spec.default) && spec.default.length === 0)
+                    ? ""
+                    : ` (default: ${formatOptionValue(spec, spec.default)})`;
+            return [
+                `--${spec.flag}${spec.arg ? `=${spec.arg}` : ""}`,
+                `${spec.help}${defaultText}`,
+            ];
+        }),
+        ["--print-schema", "Print the JSON Schema of the output payload"],
+        ["--help", "Show this help"],
+    ];
+    const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
     console.log(`Usage:
   node webtop-gen.js [options]
 
 Options:
-  --updates=<n>       Number of tick updates to capture (default: 10)
-  --interval-ms=<n>   Milliseconds between samples (default: 1000)
-  --out=<path>        Output JSON path (required)
-  --iface=<name>      Network interface override (default: auto)
-  --max-disks=<n>     Max number of disk rows to emit (default: 8)
-  --cpu-temp-id=<id>  Preferred CPU temp sensor id, e.g. k10temp-pci-00c3/Tctl
-  --disk-temp-id=<id> Preferred disk temp sensor id, e.g. nvme-pci-0300/Composite
-  --ups-server=<id>   Optional NUT target for "upsc", e.g. ups@10.88.111.111
-  --help              Show this help
+${rows.map(([flag, help]) => `  ${flag.padEnd(width)}${help}`).join("\n")}
+
+Every option can also be set in the config file (as "interval-ms" or
+"intervalMs") or through the environment (WEBTOP_INTERVAL_MS).
+Precedence: command line > environment > config file > defaults.
 `);
 }
 
-function logResolvedOptions(options, overrides) {
-    const ifaceDisplay = options.iface || "auto";
+function logResolvedOptions(options, sources, configPath) {
     console.log("Resolved options:");
-    console.log(
-        `  updates: ${DEFAULTS.updates} -> ${options.updates}${overrides.has("updates") ? " (override)" : ""}`,
-    );
-    console.log(
-        `  interval-ms: ${DEFAULTS.intervalMs} -> ${options.intervalMs}${overrides.has("interval-ms") ? " (override)" : ""}`,
-    );
-    console.log(
-        `  iface: auto -> ${ifaceDisplay}${overrides.has("iface") ? " (override)" : ""}`,
-    );
-    console.log(
-        `  max-disks: ${DEFAULTS.maxDisks} -> ${options.maxDisks}${overrides.has("max-disks") ? " (override)" : ""}`,
-    );
-    console.log(
-        `  cpu-temp-id: auto -> ${options.cpuTempId || "auto"}${overrides.has("cpu-temp-id") ? " (override)" : ""}`,
-    );
-    console.log(
-        `  disk-temp-id: auto -> ${options.diskTempId || "auto"}${overrides.has("disk-temp-id") ? " (override)" : ""}`,
-    );
-    console.log(
-        `  ups-server: off -> ${options.upsServer || "off"}${overrides.has("ups-server") ? " (override)" : ""}`,
-    );
-    console.log(
-        `  out: ${options.out}${overrides.has("out") ? " (override)" : ""}`,
-    );
+    if (configPath) {
+        console.log(`  config: ${configPath}`);
+    }
+    for (const spec of OPTION_SPECS) {
+        const source = sources.get(spec.name) ?? "default";
+        const value = formatOptionValue(spec, options[spec.name]);
+        if (source === "default") {
+            console.log(`  ${spec.flag}: ${value} (default)`);
+        } else {
+            console.log(
+                `  ${spec.flag}: ${formatOptionValue(spec, spec.default)} -> ${value} (${source})`,
+            );
+        }
+    }
 }
 
 function normalizeUpsServerTarget(value) {
@@ -163,6 +1058,317 @@ function normalizeUpsServerTarget(value) {
     return trimmed;
 }
 
+// Paths with a statfs call in flight, across reloads and host io objects.
+const pendingStatfs = new Set();
+
+function createHostIo(options) {
+    const roots = {
+        proc: options.procRoot,
+        sys: options.sysRoot,
+        etc: options.etcRoot,
+    };
+    const commands = {
+        sensors: options.sensorsCmd,
+    };
+    const nutCredentials = {
+        user: options.upsUser,
+        password: options.upsPassword,
+    };
+    const resolve = (root, relPath) => path.join(roots[root], relPath);
+    const mountRoot = options.mountRoot ?? "/";
+
+    return {
+        roots,
+        commands,
+        readFile: (root, relPath) => readFile(resolve(root, relPath), "utf8"),
+        readdir: (root, relPath) => readdir(resolve(root, relPath)),
+        async exec(command, args) {
+            const { stdout } = await execFileAsync(commands[command], args, {
+                encoding: "utf8",
+                maxBuffer: 1024 * 1024,
+            });
+            return stdout || "";
+        },
+        nut: (target) => queryNut(target, nutCredentials),
+        plugin: (key, run) => run(),
+        realpath: (absPath) => realpath(absPath),
+        // A hung network mount would otherwise stall every static refresh.
+        // The call itself cannot be cancelled and holds a libuv thread until
+        // it returns, so a mount with a call still out is skipped rather than
+        // asked again; four stuck calls would stall every other fs read.
+        async statfs(mountPoint) {
+            const absPath = path.join(mountRoot, mountPoint);
+            if (pendingStatfs.has(absPath)) {
+                const error = new Error(
+                    `statfs ${absPath} is still waiting on an earlier call`,
+                );
+                error.code = "ETIMEDOUT";
+                throw error;
+            }
+            pendingStatfs.add(absPath);
+            const call = statfs(absPath).finally(() =>
+                pendingStatfs.delete(absPath),
+            );
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    const error = new Error(
+                        `statfs ${absPath} timed out after ${STATFS_TIMEOUT_MS}ms`,
+                    );
+                    error.code = "ETIMEDOUT";
+                    reject(error);
+                }, STATFS_TIMEOUT_MS);
+            });
+            try {
+                const result = await Promise.race([call, timeout]);
+                return {
+                    bsize: result.bsize,
+                    blocks: result.blocks,
+                    bfree: result.bfree,
+                    bavail: result.bavail,
+                    files: result.files,
+                    ffree: result.ffree,
+                };
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+        now: () => Date.now(),
+    };
+}
+
+// Fail early with a clear message when --proc-root does not point at procfs,
+// instead of an ENOENT from whichever reader runs first.
+async function openHostIo(options) {
+    if (options.replay) {
+        return openReplayHostIo(options.replay);
+    }
+
+    const io = createHostIo(options);
+    try {
+        await io.readFile("proc", "stat");
+    } catch {
+        throw new Error(
+            `--proc-root ${options.procRoot} does not look like procfs (no readable stat file).`,
+        );
+    }
+    return options.record ? openRecordingHostIo(io, options) : io;
+}
+
+const RECORDING_VERSION = 1;
+// Options that only affect where and how output goes; everything else is
+// stored in the recording so replay parses the inputs the same way.
+const REPLAY_LOCAL_OPTIONS = new Set([
+    "out",
+    "format",
+    "encoding",
+    "compress",
+    "public",
+    "redact",
+    "publicSections",
+    "redactSalt",
+    "listen",
+    "writeEvery",
+    "record",
+    "replay",
+    "history",
+    "historyMinutes",
+    "historyHours",
+    "sinks",
+]);
+
+// Every call is stored with a per-call-site sequence number, because
+// concurrent reads finish in a different order than they were issued and
+// replay has to hand each caller the same answer it got originally.
+async function openRecordingHostIo(io, options) {
+    const recordPath = path.resolve(process.cwd(), options.record);
+    const header = {
+        type: "header",
+        version: RECORDING_VERSION,
+        recordedAt: new Date().toISOString(),
+        options: Object.fromEntries(
+            OPTION_SPECS.filter(
+                (spec) => !spec.secret && !REPLAY_LOCAL_OPTIONS.has(spec.name),
+            ).map((spec) => [spec.name, options[spec.name]]),
+        ),
+    };
+    await mkdir(path.dirname(recordPath), { recursive: true });
+    await writeFile(recordPath, `${JSON.stringify(header)}\n`, "utf8");
+
+    const stream = createWriteStream(recordPath, { flags: "a" });
+    let failed = false;
+    stream.on("error", (error) => {
+        if (failed) return;
+        failed = true;
+        console.error(`Recording to ${recordPath} failed: ${error.message}`);
+    });
+
+    const sequences = new Map();
+    const nextSeq = (op, key) => {
+        const id = `${op} ${key}`;
+        const seq = sequences.get(id) ?? 0;
+        sequences.set(id, seq + 1);
+        return seq;
+    };
+    const write = (entry) => {
+        if (!failed) stream.write(`${JSON.stringify(entry)}\n`);
+    };
+    const track = async (op, key, run) => {
+        const seq = nextSeq(op, key);
+        try {
+            const data = await run();
+            write({ op, key, seq, t: Date.now(), data });
+            return data;
+        } catch (error) {
+            write({
+                op,
+                key,
+                seq,
+                t: Date.now(),
+                error: { code: error.code ?? null, message: error.message },
+            });
+            throw error;
+        }
+    };
+
+    return {
+        ...io,
+        readFile: (root, relPath) =>
+            track("readFile", `${root}:${relPath}`, () =>
+                io.readFile(root, relPath),
+            ),
+        readdir: (root, relPath) =>
+            track("readdir", `${root}:${relPath}`, () =>
+                io.readdir(root, relPath),
+            ),
+        exec: (command, args) =>
+            track("exec", [command, ...args].join(" "), () =>
+                io.exec(command, args),
+            ),
+        nut: (target) => track("nut", target, () => io.nut(target)),
+        plugin: (key, run) => track("plugin", key, run),
+        realpath: (absPath) =>
+            track("realpath", absPath, () => io.realpath(absPath)),
+        statfs: (mountPoint) =>
+            track("statfs", mountPoint, () => io.statfs(mountPoint)),
+        now() {
+            const data = io.now();
+            write({
+                op: "now",
+                key: "",
+                seq: nextSeq("now", ""),
+                t: data,
+                data,
+            });
+            return data;
+        },
+        close() {
+            stream.end();
+        },
+    };
+}
+
+async function openReplayHostIo(replayPath) {
+    let raw;
+    try {
+        raw = await readFile(replayPath, "utf8");
+    } catch (error) {
+        throw new Error(
+            `Could not read recording ${replayPath}: ${error.message}`,
+        );
+    }
+
+    let header = null;
+    const calls = new Map();
+    const lines = raw.split("\n");
+    for (let index = 0; index < lines.length; index += 1) {
+        if (!lines[index].trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(lines[index]);
+        } catch {
+            // A run killed mid-write leaves a truncated last line.
+            if (header && index >= lines.length - 2) break;
+            throw new Error(
+                header
+                    ? `${replayPath}:${index + 1}: not a valid recording line`
+                    : `${replayPath} is not a webtop-gen recording (missing header).`,
+            );
+        }
+        if (!header) {
+            if (entry?.type !== "header") {
+                throw new Error(
+                    `${replayPath} is not a webtop-gen recording (missing header).`,
+                );
+            }
+            if (entry.version !== RECORDING_VERSION) {
+                throw new Error(
+                    `${replayPath}: unsupported recording version ${entry.version}.`,
+                );
+            }
+            header = entry;
+            continue;
+        }
+        const id = `${entry.op} ${entry.key}`;
+        if (!calls.has(id)) calls.set(id, []);
+        calls.get(id)[entry.seq] = entry;
+    }
+    if (!header) {
+        throw new Error(`${replayPath} is empty.`);
+    }
+
+    const cursors = new Map();
+    const misses = [];
+    const take = (op, key) => {
+        const id = `${op} ${key}`;
+        const seq = cursors.get(id) ?? 0;
+        cursors.set(id, seq + 1);
+        const entry = calls.get(id)?.[seq];
+        if (!entry) {
+            const error = new Error(
+                `recording has no ${op} #${seq + 1} for "${key}"`,
+            );
+            error.code = "ENOREPLAY";
+            misses.push(error.message);
+            throw error;
+        }
+        if (entry.error) {
+            const error = new Error(entry.error.message);
+            error.code = entry.error.code;
+            throw error;
+        }
+        return entry.data;
+    };
+
+    // Each dynamic snapshot reads the clock once, the first being the
+    // baseline the first tick is measured against.
+    const snapshots = calls.get("now ")?.filter(Boolean).length ?? 0;
+
+    return {
+        roots: { proc: "/proc", sys: "/sys", etc: "/etc" },
+        commands: { sensors: "sensors" },
+        readFile: async (root, relPath) =>
+            take("readFile", `${root}:${relPath}`),
+        readdir: async (root, relPath) => take("readdir", `${root}:${relPath}`),
+        exec: async (command, args) =>
+            take("exec", [command, ...args].join(" ")),
+        nut: async (target) => take("nut", target),
+        // Plugin modules are never imported on replay; their recorded
+        // results stand in for them.
+        plugin: async (key) => take("plugin", key),
+        realpath: async (absPath) => take("realpath", absPath),
+        statfs: async (mountPoint) => take("statfs", mountPoint),
+        now: () => take("now", ""),
+        recording: {
+            path: replayPath,
+            recordedAt: header.recordedAt,
+            options: header.options,
+            ticks: Math.max(0, snapshots - 1),
+            misses: () => misses,
+        },
+    };
+}
+
 function round2(value) {
     return Math.round(value * 100) / 100;
 }
@@ -207,64 +1413,363 @@ function formatExecError(error) {
     return String(error);
 }
 
-async function readUpsSnapshot(upsServer) {
-    if (!upsServer) return null;
-
-    try {
-        const { stdout } = await execFileAsync("upsc", [upsServer], {
-            encoding: "utf8",
-            maxBuffer: 1024 * 1024,
-        });
-        const values = parseUpscOutput(stdout || "");
+const NUT_DEFAULT_PORT = 3493;
+const NUT_TIMEOUT_MS = 5000;
 
-        return {
-            source: "nut",
-            status: values["ups.status"] ?? "unknown",
-            batteryChargePct: parseOptionalNumber(values["battery.charge"]),
-            batteryRuntimeSec: parseOptionalNumber(values["battery.runtime"]),
-            loadPct: parseOptionalNumber(values["ups.load"]),
-            outputVoltageV: parseOptionalNumber(values["output.voltage"]),
-        };
-    } catch (error) {
-        console.log(
-            `UPS snapshot unresolved for "${upsServer}" (${formatExecError(error)}).`,
+// ups[@host[:port]], where "*" as the name means every UPS on that server.
+function parseUpsTarget(value) {
+    const match = /^([^@\s]+)(?:@(.+))?$/.exec(value.trim());
+    const hostMatch = /^(?:\[([^\]]+)\]|([^:]+))(?::(\d+))?$/.exec(
+        match?.[2] ?? "localhost",
+    );
+    const port = hostMatch?.[3] ? Number(hostMatch[3]) : NUT_DEFAULT_PORT;
+    if (!match || !hostMatch || port < 1 || port > 65535) {
+        throw new Error(
+            `invalid UPS target "${value}" (expected ups[@host[:port]] or *@host)`,
         );
-        return {
-            source: "nut",
-            status: "unavailable",
-        };
     }
+    return { ups: match[1], host: hostMatch[1] ?? hostMatch[2], port };
 }
 
-function parseMeminfo(raw) {
-    const map = new Map();
-    for (const line of raw.split("\n")) {
-        const [keyPart, rest] = line.split(":");
-        if (!keyPart || !rest) continue;
-        const value = Number(rest.trim().split(/\s+/)[0]);
-        if (Number.isFinite(value)) {
-            map.set(keyPart.trim(), value);
-        }
+function splitNutLine(line) {
+    const tokens = [];
+    for (const match of line.matchAll(/"((?:[^"\\]|\\.)*)"|(\S+)/g)) {
+        tokens.push(
+            match[1] != null ? match[1].replace(/\\(.)/g, "$1") : match[2],
+        );
     }
+    return tokens;
+}
 
-    const totalKb = map.get("MemTotal") ?? 0;
-    const availKb = map.get("MemAvailable") ?? 0;
-    const cachedKb = (map.get("Cached") ?? 0) + (map.get("SReclaimable") ?? 0);
-    const usedKb = Math.max(0, totalKb - availKb);
+function quoteNutArgument(value) {
+    return `"${value.replace(/["\\]/g, "\\$&")}"`;
+}
 
-    const toGb = (kb) => round2(kb / 1024 / 1024);
-    const pct = (v) => (totalKb > 0 ? Math.round((v / totalKb) * 100) : 0);
+// Speaks just enough of the NUT network protocol (RFC 9271) to list UPSes
+// and their variables. A failure for one UPS is returned in its entry
+// rather than failing the whole server.
+async function queryNut(target, { user = "", password = "" } = {}) {
+    const { ups, host, port } = parseUpsTarget(target);
+    const socket = connect({ host, port });
+    socket.setEncoding("utf8");
 
-    return {
-        usedGb: toGb(usedKb),
-        availableGb: toGb(availKb),
+    const lines = [];
+    let buffer = "";
+    let failure = null;
+    let wake = null;
+    const notify = () => {
+        wake?.();
+        wake = null;
+    };
+    const fail = (error) => {
+        failure ??= error;
+        notify();
+    };
+    socket.on("connect", notify);
+    socket.on("data", (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf("\n")) !== -1) {
+            lines.push(buffer.slice(0, newline).replace(/\r$/, ""));
+            buffer = buffer.slice(newline + 1);
+        }
+        notify();
+    });
+    socket.on("error", fail);
+    socket.on("close", () => fail(new Error("connection closed by server")));
+    socket.setTimeout(NUT_TIMEOUT_MS, () => {
+        fail(new Error(`no answer within ${NUT_TIMEOUT_MS}ms`));
+        socket.destroy();
+    });
+
+    const waitFor = async (ready) => {
+        while (!ready()) {
+            if (failure) throw failure;
+            await new Promise((resolve) => {
+                wake = resolve;
+            });
+        }
+    };
+    const nextLine = async () => {
+        await waitFor(() => lines.length > 0);
+        return lines.shift();
+    };
+    const command = async (text) => {
+        socket.write(`${text}\n`);
+        const line = await nextLine();
+        if (line.startsWith("ERR ")) {
+            const code = line.slice(4).trim().split(/\s+/)[0];
+            const error = new Error(`server replied ERR ${code}`);
+            error.code = code;
+            throw error;
+        }
+        return line;
+    };
+    const list = async (text) => {
+        const first = await command(text);
+        if (!first.startsWith("BEGIN LIST")) {
+            throw new Error(`unexpected reply "${first}"`);
+        }
+        const rows = [];
+        for (;;) {
+            const line = await nextLine();
+            if (line.startsWith("END LIST")) return rows;
+            rows.push(splitNutLine(line));
+        }
+    };
+
+    try {
+        await waitFor(() => !socket.connecting);
+        if (user) {
+            await command(`USERNAME ${quoteNutArgument(user)}`);
+            await command(`PASSWORD ${quoteNutArgument(password)}`);
+        }
+        const names =
+            ups === "*"
+                ? (await list("LIST UPS"))
+                      .filter((tokens) => tokens[0] === "UPS")
+                      .map((tokens) => tokens[1])
+                : [ups];
+
+        const result = [];
+        for (const name of names) {
+            try {
+                const vars = {};
+                for (const tokens of await list(`LIST VAR ${name}`)) {
+                    if (tokens[0] === "VAR") vars[tokens[2]] = tokens[3] ?? "";
+                }
+                result.push({ name, vars });
+            } catch (error) {
+                if (!error.code) throw error;
+                result.push({ name, error: error.message });
+            }
+        }
+        socket.end("LOGOUT\n");
+        return result;
+    } finally {
+        if (!socket.writableEnded) socket.destroy();
+    }
+}
+
+const UPS_STATUS_FLAGS = {
+    OL: "online",
+    OB: "onBattery",
+    LB: "lowBattery",
+    HB: "highBattery",
+    RB: "replaceBattery",
+    CHRG: "charging",
+    DISCHRG: "discharging",
+    BYPASS: "bypass",
+    CAL: "calibrating",
+    OFF: "off",
+    OVER: "overloaded",
+    TRIM: "trimming",
+    BOOST: "boosting",
+    FSD: "forcedShutdown",
+};
+
+function decodeUpsStatus(status) {
+    const tokens = new Set(status.split(/\s+/));
+    return Object.fromEntries(
+        Object.entries(UPS_STATUS_FLAGS).map(([token, name]) => [
+            name,
+            tokens.has(token),
+        ]),
+    );
+}
+
+function buildUpsSnapshot(name, server, vars) {
+    const number = (...keys) => {
+        for (const key of keys) {
+            const value = parseOptionalNumber(vars[key]);
+            if (value != null) return value;
+        }
+        return null;
+    };
+    const status = vars["ups.status"] ?? "unknown";
+    const beeper = vars["ups.beeper.status"];
+
+    return {
+        source: "nut",
+        name,
+        server,
+        status,
+        flags: decodeUpsStatus(status),
+        batteryChargePct: number("battery.charge"),
+        batteryRuntimeSec: number("battery.runtime"),
+        batteryVoltageV: number("battery.voltage"),
+        loadPct: number("ups.load"),
+        inputVoltageV: number("input.voltage"),
+        inputFrequencyHz: number("input.frequency"),
+        outputVoltageV: number("output.voltage"),
+        outputFrequencyHz: number("output.frequency"),
+        temperatureC: number("ups.temperature", "battery.temperature"),
+        realPowerW: number("ups.realpower"),
+        realPowerNominalW: number("ups.realpower.nominal"),
+        beeperEnabled:
+            beeper === "enabled"
+                ? true
+                : beeper === "disabled" || beeper === "muted"
+                  ? false
+                  : null,
+        testResult: vars["ups.test.result"] ?? null,
+        manufacturer: vars["device.mfr"] ?? vars["ups.mfr"] ?? null,
+        model: vars["device.model"] ?? vars["ups.model"] ?? null,
+    };
+}
+
+async function readUpsSnapshots(io, targets) {
+    const snapshots = await Promise.all(
+        targets.map(async (target) => {
+            const { ups, host, port } = parseUpsTarget(target);
+            const server = `${host}:${port}`;
+            try {
+                return (await io.nut(target)).map((entry) =>
+                    entry.error
+                        ? {
+                              source: "nut",
+                              name: entry.name,
+                              server,
+                              status: "unavailable",
+                              error: entry.error,
+                          }
+                        : buildUpsSnapshot(entry.name, server, entry.vars),
+                );
+            } catch (error) {
+                return [
+                    {
+                        source: "nut",
+                        name: ups,
+                        server,
+                        status: "unavailable",
+                        error: formatExecError(error),
+                    },
+                ];
+            }
+        }),
+    );
+    return snapshots.flat();
+}
+
+function parseMeminfoFields(raw) {
+    const map = new Map();
+    for (const line of raw.split("\n")) {
+        const [keyPart, rest] = line.split(":");
+        if (!keyPart || !rest) continue;
+        const value = Number(rest.trim().split(/\s+/)[0]);
+        if (Number.isFinite(value)) {
+            map.set(keyPart.trim(), value);
+        }
+    }
+    return map;
+}
+
+function parseMeminfo(raw) {
+    const map = parseMeminfoFields(raw);
+
+    const totalKb = map.get("MemTotal") ?? 0;
+    const availKb = map.get("MemAvailable") ?? 0;
+    const cachedKb = (map.get("Cached") ?? 0) + (map.get("SReclaimable") ?? 0);
+    const usedKb = Math.max(0, totalKb - availKb);
+
+    const swapTotalKb = map.get("SwapTotal") ?? 0;
+    const swapFreeKb = map.get("SwapFree") ?? 0;
+    const swapUsedKb = Math.max(0, swapTotalKb - swapFreeKb);
+
+    const toGb = (kb) => round2(kb / 1024 / 1024);
+    const toMb = (kb) => round1(kb / 1024);
+    const optionalMb = (key) => (map.has(key) ? toMb(map.get(key)) : null);
+    const pct = (v) => (totalKb > 0 ? Math.round((v / totalKb) * 100) : 0);
+
+    return {
+        usedGb: toGb(usedKb),
+        availableGb: toGb(availKb),
         cachedGb: toGb(cachedKb),
         usedPct: pct(usedKb),
         availablePct: pct(availKb),
         cachedPct: pct(cachedKb),
+        totalGb: toGb(totalKb),
+        swapTotalGb: toGb(swapTotalKb),
+        swapUsedGb: toGb(swapUsedKb),
+        swapUsedPct:
+            swapTotalKb > 0 ? Math.round((swapUsedKb / swapTotalKb) * 100) : 0,
+        shmemGb: toGb(map.get("Shmem") ?? 0),
+        dirtyMb: toMb(map.get("Dirty") ?? 0),
+        writebackMb: toMb(map.get("Writeback") ?? 0),
+        // Zswap is the compressed pool size, Zswapped what it holds (5.19+).
+        zswapMb: optionalMb("Zswap"),
+        zswappedMb: optionalMb("Zswapped"),
+        hugePagesTotal: map.get("HugePages_Total") ?? 0,
+        hugePagesFree: map.get("HugePages_Free") ?? 0,
+        hugePageSizeKb: map.get("Hugepagesize") ?? 0,
     };
 }
 
+const PRESSURE_RESOURCES = ["cpu", "memory", "io"];
+
+function parsePressure(raw) {
+    const result = { some: null, full: null };
+    for (const line of raw.split("\n")) {
+        const [kind, ...pairs] = line.trim().split(/\s+/);
+        if (kind !== "some" && kind !== "full") continue;
+        const values = {};
+        for (const pair of pairs) {
+            const [key, value] = pair.split("=");
+            values[key] = Number(value) || 0;
+        }
+        result[kind] = {
+            avg10: values.avg10 ?? 0,
+            avg60: values.avg60 ?? 0,
+            totalUs: values.total ?? 0,
+        };
+    }
+    return result;
+}
+
+async function readPressure(io) {
+    const entries = await Promise.all(
+        PRESSURE_RESOURCES.map(async (resource) => {
+            try {
+                const raw = await io.readFile(
+                    "proc",
+                    path.join("pressure", resource),
+                );
+                return [resource, parsePressure(raw)];
+            } catch {
+                return [resource, null];
+            }
+        }),
+    );
+    // Kernels without CONFIG_PSI (or with psi=0) have no /proc/pressure.
+    if (entries.every(([, value]) => value == null)) return null;
+    return new Map(entries);
+}
+
+function computePressure(prevPressure, currPressure) {
+    if (!currPressure) return null;
+    const result = {};
+    for (const [resource, curr] of currPressure) {
+        const prev = prevPressure?.get(resource);
+        if (!curr) {
+            result[resource] = null;
+            continue;
+        }
+        const line = (kind) => {
+            if (!curr[kind]) return null;
+            const prevTotal = prev?.[kind]?.totalUs ?? curr[kind].totalUs;
+            return {
+                avg10: curr[kind].avg10,
+                avg60: curr[kind].avg60,
+                stallMs: round1(
+                    Math.max(0, curr[kind].totalUs - prevTotal) / 1000,
+                ),
+            };
+        };
+        result[resource] = { some: line("some"), full: line("full") };
+    }
+    return result;
+}
+
 function parseLoadAvg(raw) {
     const [one = "0", five = "0", fifteen = "0"] = raw.trim().split(/\s+/);
     return [
@@ -294,15 +1799,139 @@ function parseCpuStats(raw) {
         const irq = nums[5] ?? 0;
         const softirq = nums[6] ?? 0;
         const steal = nums[7] ?? 0;
+        const guest = nums[8] ?? 0;
+        const guestNice = nums[9] ?? 0;
 
         const idleTotal = idle + iowait;
         const activeTotal = user + nice + system + irq + softirq + steal;
-        stats.set(name, { total: idleTotal + activeTotal, idle: idleTotal });
+        stats.set(name, {
+            total: idleTotal + activeTotal,
+            idle: idleTotal,
+            modes: {
+                user,
+                nice,
+                system,
+                idle,
+                iowait,
+                irq,
+                softirq,
+                steal,
+                guest,
+                guestNice,
+            },
+        });
     }
 
     return stats;
 }
 
+function listThreadKeys(cpuStats) {
+    return [...cpuStats.keys()]
+        .filter((key) => /^cpu\d+$/.test(key))
+        .sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)));
+}
+
+const CPU_SYSFS_BASE = "devices/system/cpu";
+
+function parseCpuinfoMhz(raw) {
+    const mhz = new Map();
+    let processor = null;
+    for (const line of raw.split("\n")) {
+        const [keyPart, valuePart] = line.split(":");
+        if (valuePart == null) continue;
+        const key = keyPart.trim();
+        if (key === "processor") {
+            processor = valuePart.trim();
+        } else if (key === "cpu MHz" && processor != null) {
+            const value = Number(valuePart.trim());
+            if (Number.isFinite(value))
+                mhz.set(`cpu${processor}`, Math.round(value));
+        }
+    }
+    return mhz;
+}
+
+async function readSysfsNumber(io, relPath) {
+    try {
+        const value = Number((await io.readFile("sys", relPath)).trim());
+        return Number.isFinite(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+async function readCpuFrequencies(io, threadKeys) {
+    const mhz = new Map();
+    let cpuinfo = null;
+    for (const key of threadKeys) {
+        const khz = await readSysfsNumber(
+            io,
+            path.join(CPU_SYSFS_BASE, key, "cpufreq", "scaling_cur_freq"),
+        );
+        if (khz != null) {
+            mhz.set(key, Math.round(khz / 1000));
+            continue;
+        }
+        // VMs and some ARM boards lack cpufreq; /proc/cpuinfo still has MHz.
+        cpuinfo ??= await io
+            .readFile("proc", "cpuinfo")
+            .then(parseCpuinfoMhz)
+            .catch(() => new Map());
+        mhz.set(key, cpuinfo.get(key) ?? null);
+    }
+    return mhz;
+}
+
+async function readCpuFreqLimits(io, threadKeys) {
+    return Promise.all(
+        threadKeys.map(async (key) => {
+            const base = path.join(CPU_SYSFS_BASE, key, "cpufreq");
+            const [minKhz, maxKhz, governor] = await Promise.all([
+                readSysfsNumber(io, path.join(base, "cpuinfo_min_freq")),
+                readSysfsNumber(io, path.join(base, "cpuinfo_max_freq")),
+                io
+                    .readFile("sys", path.join(base, "scaling_governor"))
+                    .then((value) => value.trim() || null)
+                    .catch(() => null),
+            ]);
+            return {
+                minMhz: minKhz == null ? null : Math.round(minKhz / 1000),
+                maxMhz: maxKhz == null ? null : Math.round(maxKhz / 1000),
+                governor,
+            };
+        }),
+    );
+}
+
+// Guest time is already accounted inside user (and guest_nice inside nice),
+// so it is reported for information but never added to the total.
+const CPU_BREAKDOWN_MODES = [
+    "user",
+    "nice",
+    "system",
+    "iowait",
+    "irq",
+    "softirq",
+    "steal",
+    "guest",
+];
+
+function computeCpuBreakdownPct(prevStats, currStats, key) {
+    const prev = prevStats.get(key);
+    const curr = currStats.get(key);
+    const breakdown = {};
+    const deltaTotal = prev && curr ? curr.total - prev.total : 0;
+
+    for (const mode of CPU_BREAKDOWN_MODES) {
+        const delta = deltaTotal > 0 ? curr.modes[mode] - prev.modes[mode] : 0;
+        breakdown[mode] =
+            deltaTotal > 0
+                ? round1(clamp((delta / deltaTotal) * 100, 0, 100))
+                : 0;
+    }
+    return breakdown;
+}
+
 function computeCpuUsagePct(prevStats, currStats, key) {
     const prev = prevStats.get(key);
     const curr = currStats.get(key);
@@ -331,12 +1960,89 @@ function parseNetDev(raw) {
 
         totals.set(iface, {
             rxBytes: nums[0] ?? 0,
+            rxPackets: nums[1] ?? 0,
+            rxErrors: nums[2] ?? 0,
+            rxDrops: nums[3] ?? 0,
             txBytes: nums[8] ?? 0,
+            txPackets: nums[9] ?? 0,
+            txErrors: nums[10] ?? 0,
+            txDrops: nums[11] ?? 0,
         });
     }
     return totals;
 }
 
+const IGNORED_BLOCK_DEVICES = /^(loop|ram|fd|sr)\d/;
+const DISKSTATS_SECTOR_BYTES = 512;
+
+function parseDiskStats(raw) {
+    const devices = new Map();
+    for (const line of raw.split("\n")) {
+        const cols = line.trim().split(/\s+/);
+        if (cols.length < 14) continue;
+        const name = cols[2];
+        if (IGNORED_BLOCK_DEVICES.test(name)) continue;
+
+        const nums = cols.slice(3).map((value) => Number(value) || 0);
+        devices.set(name, {
+            devId: `${cols[0]}:${cols[1]}`,
+            reads: nums[0],
+            readBytes: nums[2] * DISKSTATS_SECTOR_BYTES,
+            readTimeMs: nums[3],
+            writes: nums[4],
+            writeBytes: nums[6] * DISKSTATS_SECTOR_BYTES,
+            writeTimeMs: nums[7],
+            ioTicksMs: nums[9],
+        });
+    }
+    return devices;
+}
+
+function findDiskForDevice(diskDevices, name, devId) {
+    const match =
+        diskDevices.find((entry) => entry.devId === devId) ??
+        diskDevices.find((entry) => entry.device === name);
+    return match?.disk ?? null;
+}
+
+function computeDiskIo(prevStats, currStats, deltaSec, diskDevices) {
+    const rows = [];
+    for (const [device, curr] of currStats) {
+        const prev = prevStats.get(device);
+        if (!prev) continue;
+        if (curr.reads + curr.writes === 0) continue;
+
+        const rate = (a, b) => Math.max(0, a - b) / deltaSec;
+        // Average time per completed I/O, queueing included, like iostat's
+        // r_await and w_await; null when none completed.
+        const awaitMs = (timeKey, countKey) => {
+            const completed = curr[countKey] - prev[countKey];
+            if (completed <= 0) return null;
+            return round2(
+                Math.max(0, curr[timeKey] - prev[timeKey]) / completed,
+            );
+        };
+        rows.push({
+            device,
+            disk: findDiskForDevice(diskDevices, device, curr.devId),
+            readKibps: round2(rate(curr.readBytes, prev.readBytes) / 1024),
+            writeKibps: round2(rate(curr.writeBytes, prev.writeBytes) / 1024),
+            readIops: round1(rate(curr.reads, prev.reads)),
+            writeIops: round1(rate(curr.writes, prev.writes)),
+            readAwaitMs: awaitMs("readTimeMs", "reads"),
+            writeAwaitMs: awaitMs("writeTimeMs", "writes"),
+            utilPct: Math.round(
+                clamp(
+                    (rate(curr.ioTicksMs, prev.ioTicksMs) / 1000) * 100,
+                    0,
+                    100,
+                ),
+            ),
+        });
+    }
+    return rows;
+}
+
 function parseDefaultRouteIface(raw) {
     const lines = raw.split("\n").slice(1);
     for (const line of lines) {
@@ -361,13 +2067,76 @@ function selectNetInterface(netDevMap, preferredIface, defaultRouteIface) {
     return candidates[0] ?? [...netDevMap.keys()][0] ?? "lo";
 }
 
-async function readSensorsOutput() {
-    try {
-        const { stdout } = await execFileAsync("sensors", [], {
-            encoding: "utf8",
-            maxBuffer: 1024 * 1024,
+function globToRegExp(pattern) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i += 1) {
+        const char = pattern[i];
+        if (char === "*" && pattern[i + 1] === "*") {
+            source += ".*";
+            i += 1;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+const ALL_IFACES_EXCLUDED = /^(lo|veth.*)$/;
+
+function parseIfaceSelector(value) {
+    const patterns = value
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean);
+    const isSingleName =
+        patterns.length === 1 &&
+        patterns[0] !== "all" &&
+        !/[*?]/.test(patterns[0]);
+    if (patterns.length === 0 || isSingleName) return null;
+
+    return patterns.map((pattern) =>
+        pattern === "all"
+            ? (name) => !ALL_IFACES_EXCLUDED.test(name)
+            : (name) => globToRegExp(pattern).test(name),
+    );
+}
+
+function matchInterfaces(netDevMap, matchers) {
+    return [...netDevMap.keys()].filter((name) =>
+        matchers.some((matches) => matches(name)),
+    );
+}
+
+function computeInterfaceRates(prevNet, currNet, names, deltaSec) {
+    const rows = [];
+    for (const name of names) {
+        const prev = prevNet.get(name);
+        const curr = currNet.get(name);
+        if (!prev || !curr) continue;
+
+        const delta = (key) => Math.max(0, curr[key] - prev[key]);
+        rows.push({
+            name,
+            downloadKibps: round2(delta("rxBytes") / deltaSec / 1024),
+            uploadKibps: round2(delta("txBytes") / deltaSec / 1024),
+            rxPacketsPerSec: round1(delta("rxPackets") / deltaSec),
+            txPacketsPerSec: round1(delta("txPackets") / deltaSec),
+            rxErrors: delta("rxErrors"),
+            txErrors: delta("txErrors"),
+            rxDrops: delta("rxDrops"),
+            txDrops: delta("txDrops"),
         });
-        return stdout || "";
+    }
+    return rows;
+}
+
+async function readSensorsOutput(io) {
+    try {
+        return await io.exec("sensors", []);
     } catch {
         return "";
     }
@@ -406,11 +2175,16 @@ function parseSensorsOutput(raw) {
 
         const chip = currentChip || "unknown-chip";
         const id = `${chip}/${label}`;
+        // e.g. "Core 0:  +45.0°C  (high = +84.0°C, crit = +100.0°C)"
+        const highMatch = /\bhigh\s*=\s*\+?(-?\d+(?:\.\d+)?)/i.exec(line);
+        const critMatch = /\bcrit\s*=\s*\+?(-?\d+(?:\.\d+)?)/i.exec(line);
         entries.push({
             chip,
             label,
             id,
             celsius: round1(celsius),
+            highC: highMatch ? round1(Number(highMatch[1])) : null,
+            critC: critMatch ? round1(Number(critMatch[1])) : null,
             normalizedId: normalizeSensorIdentifier(id),
         });
     }
@@ -518,23 +2292,54 @@ function normalizeTempValue(rawValue) {
     return round1(celsius);
 }
 
-async function createCpuTempReader(preferredCpuTempId) {
+function sensorReadings(entries) {
+    return entries.map((entry) => ({
+        id: entry.id,
+        source: "sensors",
+        chip: entry.chip,
+        label: entry.label,
+        celsius: entry.celsius,
+        highC: entry.highC,
+        critC: entry.critC,
+    }));
+}
+
+// coretemp labels each core "Core N"; other chips report no per-core data.
+function buildTempsSection(readings) {
+    const cores = [];
+    for (const reading of readings) {
+        const match = /^core\s*(\d+)$/i.exec(reading.label);
+        if (!match) continue;
+        cores.push({
+            chip: reading.chip,
+            core: Number(match[1]),
+            celsius: reading.celsius,
+        });
+    }
+    cores.sort((a, b) => a.chip.localeCompare(b.chip) || a.core - b.core);
+    return { probes: readings, cores };
+}
+
+// `io` defaults to the real host, so library callers can pass just the id.
+async function createCpuTempReader(
+    preferredCpuTempId,
+    io = createHostIo(resolveCollectorOptions()),
+) {
     const probes = [];
 
+    // Entries under /sys/class are symlinks, so match them by name rather
+    // than by file type.
     try {
-        const thermalBase = "/sys/class/thermal";
-        const thermalEntries = await readdir(thermalBase, {
-            withFileTypes: true,
-        });
+        const thermalBase = "class/thermal";
+        const thermalEntries = await io.readdir("sys", thermalBase);
         for (const entry of thermalEntries) {
-            if (!entry.isDirectory() || !entry.name.startsWith("thermal_zone"))
-                continue;
-            const zonePath = path.join(thermalBase, entry.name);
+            if (!/^thermal_zone\d+$/.test(entry)) continue;
+            const zonePath = path.join(thermalBase, entry);
 
             let type = "";
             try {
                 type = (
-                    await readFile(path.join(zonePath, "type"), "utf8")
+                    await io.readFile("sys", path.join(zonePath, "type"))
                 ).trim();
             } catch {
                 // Ignore missing type metadata.
@@ -542,9 +2347,11 @@ async function createCpuTempReader(preferredCpuTempId) {
 
             probes.push({
                 source: "thermal",
-                name: type || entry.name,
-                label: entry.name,
+                name: type || entry,
+                label: entry,
                 tempPath: path.join(zonePath, "temp"),
+                highC: null,
+                critC: null,
             });
         }
     } catch {
@@ -552,17 +2359,17 @@ async function createCpuTempReader(preferredCpuTempId) {
     }
 
     try {
-        const hwmonBase = "/sys/class/hwmon";
-        const hwmonEntries = await readdir(hwmonBase, { withFileTypes: true });
+        const hwmonBase = "class/hwmon";
+        const hwmonEntries = await io.readdir("sys", hwmonBase);
         for (const hwmonEntry of hwmonEntries) {
-            if (!hwmonEntry.isDirectory()) continue;
-            const dirPath = path.join(hwmonBase, hwmonEntry.name);
+            if (!/^hwmon\d+$/.test(hwmonEntry)) continue;
+            const dirPath = path.join(hwmonBase, hwmonEntry);
 
-            let chipName = hwmonEntry.name;
+            let chipName = hwmonEntry;
             try {
                 chipName =
                     (
-                        await readFile(path.join(dirPath, "name"), "utf8")
+                        await io.readFile("sys", path.join(dirPath, "name"))
                     ).trim() || chipName;
             } catch {
                 // Ignore missing hwmon name.
@@ -570,7 +2377,7 @@ async function createCpuTempReader(preferredCpuTempId) {
 
             let files = [];
             try {
-                files = await readdir(dirPath);
+                files = await io.readdir("sys", dirPath);
             } catch {
                 continue;
             }
@@ -583,16 +2390,31 @@ async function createCpuTempReader(preferredCpuTempId) {
 
                 let label = "";
                 try {
-                    label = (await readFile(labelPath, "utf8")).trim();
+                    label = (await io.readFile("sys", labelPath)).trim();
                 } catch {
                     // Label is optional.
                 }
 
+                const readThreshold = (suffix) =>
+                    io
+                        .readFile(
+                            "sys",
+                            path.join(dirPath, `temp${sensorId}_${suffix}`),
+                        )
+                        .then((raw) => normalizeTempValue(raw.trim()))
+                        .catch(() => null);
+                const [highC, critC] = await Promise.all([
+                    readThreshold("max"),
+                    readThreshold("crit"),
+                ]);
+
                 probes.push({
                     source: "hwmon",
                     name: chipName,
                     label: label || `temp${sensorId}`,
                     tempPath: path.join(dirPath, file),
+                    highC,
+                    critC,
                 });
             }
         }
@@ -605,35 +2427,41 @@ async function createCpuTempReader(preferredCpuTempId) {
     ).length;
     let sensorsAvailable = false;
 
+    // Every probe read along the way is returned as `readings`, which feeds
+    // the optional temps section.
     async function read() {
         if (preferredCpuTempId) {
-            const sensorsRaw = await readSensorsOutput();
+            const sensorsRaw = await readSensorsOutput(io);
             if (sensorsRaw) {
                 sensorsAvailable = true;
                 const sensors = parseSensorsOutput(sensorsRaw);
+                const readings = sensorReadings(sensors.entries);
                 const selected = selectCpuTempFromSensors(
                     sensors.entries,
                     preferredCpuTempId,
                 );
                 if (selected) {
-                    return selected;
+                    return { ...selected, readings };
                 }
                 return {
                     tempC: 0,
                     source: `sensors:missing:${preferredCpuTempId}`,
+                    readings,
                 };
             }
             return {
                 tempC: 0,
                 source: `sensors:unavailable:${preferredCpuTempId}`,
+                readings: [],
             };
         }
 
         const candidates = [];
+        const readings = [];
 
         for (const probe of probes) {
             try {
-                const raw = (await readFile(probe.tempPath, "utf8")).trim();
+                const raw = (await io.readFile("sys", probe.tempPath)).trim();
                 const celsius = normalizeTempValue(raw);
                 if (celsius == null) continue;
 
@@ -642,25 +2470,37 @@ async function createCpuTempReader(preferredCpuTempId) {
                     score: scoreTempProbe(probe.name, probe.label),
                     source: `${probe.source}:${probe.name}/${probe.label}`,
                 });
+                readings.push({
+                    id: `${probe.name}/${probe.label}`,
+                    source: probe.source,
+                    chip: probe.name,
+                    label: probe.label,
+                    celsius,
+                    highC: probe.highC,
+                    critC: probe.critC,
+                });
             } catch {
                 // Probe may disappear or be unreadable.
             }
         }
 
         if (candidates.length === 0) {
-            const sensorsRaw = await readSensorsOutput();
+            const sensorsRaw = await readSensorsOutput(io);
             if (sensorsRaw) {
                 sensorsAvailable = true;
                 const sensors = parseSensorsOutput(sensorsRaw);
                 const selected = selectCpuTempFromSensors(sensors.entries, "");
+                const sensorsReadings = sensorReadings(sensors.entries);
                 if (selected) {
-                    return selected;
+                    return { ...selected, readings: sensorsReadings };
                 }
+                return {
+                    tempC: 0,
+                    source: "sensors:no-cpu-temp",
+                    readings: sensorsReadings,
+                };
             }
-            return {
-                tempC: 0,
-                source: sensorsAvailable ? "sensors:no-cpu-temp" : "none",
-            };
+            return { tempC: 0, source: "none", readings };
         }
 
         const cpuCandidates = candidates.filter(
@@ -674,6 +2514,7 @@ async function createCpuTempReader(preferredCpuTempId) {
         return {
             tempC: round1(selected.celsius),
             source: selected.source,
+            readings,
         };
     }
 
@@ -690,213 +2531,956 @@ function buildDiskName(mountPoint) {
     return mountPoint.replace(/^\//, "").replace(/\//g, "-") || "root";
 }
 
-async function readDiskRows(maxDisks) {
-    const args = ["-B1", "-P"];
-    for (const fsName of EXCLUDED_FS) {
-        args.push("-x", fsName);
+const STATFS_TIMEOUT_MS = 2000;
+
+function decodeMountinfoField(value) {
+    return value.replace(/\\([0-7]{3})/g, (_, octal) =>
+        String.fromCharCode(Number.parseInt(octal, 8)),
+    );
+}
+
+// Format: id parent major:minor root mountPoint options [optional...] -
+// fsType source superOptions. See proc(5).
+function parseMountinfo(raw) {
+    const mounts = [];
+    for (const line of raw.split("\n")) {
+        const fields = line.trim().split(" ");
+        const separator = fields.indexOf("-");
+        if (separator < 6 || fields.length < separator + 3) continue;
+        const options = fields[5].split(",");
+        const superOptions = (fields[separator + 3] ?? "").split(",");
+        mounts.push({
+            devId: fields[2],
+            root: decodeMountinfoField(fields[3]),
+            mountPoint: decodeMountinfoField(fields[4]),
+            fsType: fields[separator + 1],
+            source: decodeMountinfoField(fields[separator + 2]),
+            readOnly: options.includes("ro") || superOptions.includes("ro"),
+        });
     }
+    return mounts;
+}
 
-    let stdout = "";
+function matchesAnyGlob(value, globs) {
+    return globs.some((glob) => globToRegExp(glob).test(value));
+}
+
+async function resolveBlockDevice(io, source) {
+    if (!source.startsWith("/dev/")) return "";
     try {
-        ({ stdout } = await execFileAsync("df", args, {
-            encoding: "utf8",
-            maxBuffer: 1024 * 1024,
-        }));
+        return path.basename(await io.realpath(source));
     } catch {
-        return {
-            rows: [],
-            skippedEfi: 0,
-        };
+        return path.basename(source);
     }
+}
 
-    const rows = [];
-    let skippedEfi = 0;
-    const lines = stdout.trim().split("\n").slice(1);
-    for (const line of lines) {
-        const cols = line.trim().split(/\s+/);
-        if (cols.length < 6) continue;
-
-        const totalBytes = Number(cols[1]) || 0;
-        const usedBytes = Number(cols[2]) || 0;
-        const fsName = cols[0];
-        const mountPoint = cols[5];
-        if (!mountPoint || mountPoint.startsWith("/snap")) continue;
-        if (fsName.startsWith("tmpfs") || fsName.startsWith("devtmpfs"))
+async function readDiskRows(io, options) {
+    const empty = { rows: [], usage: new Map(), devices: [], skipped: 0 };
+    let mounts;
+    try {
+        mounts = parseMountinfo(await io.readFile("proc", "self/mountinfo"));
+    } catch {
+        return empty;
+    }
+
+    // Mounting over a mount point hides what was there; only the last mount
+    // listed for a path is visible.
+    const visible = new Map(mounts.map((mount) => [mount.mountPoint, mount]));
+
+    let skipped = 0;
+    const candidates = [];
+    for (const mount of mounts) {
+        if (visible.get(mount.mountPoint) !== mount) continue;
+        if (
+            matchesAnyGlob(mount.fsType, options.excludeFs) ||
+            (options.includeMounts.length > 0 &&
+                !matchesAnyGlob(mount.mountPoint, options.includeMounts)) ||
+            matchesAnyGlob(mount.mountPoint, options.excludeMounts)
+        ) {
+            skipped += 1;
             continue;
+        }
+        candidates.push(mount);
+    }
+
+    // Bind mounts share the device of the filesystem they expose; report the
+    // mount of the filesystem root, or else the shortest path.
+    const byDevice = new Map();
+    for (const mount of candidates) {
+        const current = byDevice.get(mount.devId);
+        const better =
+            !current || (mount.root === "/") !== (current.root === "/")
+                ? mount.root === "/"
+                : mount.mountPoint.length < current.mountPoint.length;
+        if (!current || better) byDevice.set(mount.devId, mount);
+    }
 
-        const name = buildDiskName(mountPoint);
-        if (/efi/i.test(name)) {
-            skippedEfi += 1;
+    const rows = [];
+    const usage = new Map();
+    const devices = [];
+    for (const mount of candidates) {
+        if (rows.length >= options.maxDisks) break;
+        if (byDevice.get(mount.devId) !== mount) continue;
+
+        let fs;
+        try {
+            fs = await io.statfs(mount.mountPoint);
+        } catch {
+            // Unreadable, vanished or hung mount.
+            skipped += 1;
             continue;
         }
+        // Pseudo filesystems report no blocks; df hides them the same way.
+        if (!fs.blocks) continue;
+
+        const totalBytes = fs.blocks * fs.bsize;
+        const usedBytes = (fs.blocks - fs.bfree) * fs.bsize;
+        const freeBytes = fs.bavail * fs.bsize;
+        const inodesUsed = Math.max(0, fs.files - fs.ffree);
+
+        let name = buildDiskName(mount.mountPoint);
+        // "/a-b" and "/a/b" would otherwise share a name.
+        for (let suffix = 2; usage.has(name); suffix += 1) {
+            name = `${buildDiskName(mount.mountPoint)}~${suffix}`;
+        }
 
-        const usagePct =
-            totalBytes > 0 ? Math.round((usedBytes / totalBytes) * 100) : 0;
         rows.push({
             name,
+            mountPoint: mount.mountPoint,
+            fsType: mount.fsType,
+            device: mount.source,
             totalGb: round2(totalBytes / 1024 / 1024 / 1024),
-            usagePct: clamp(usagePct, 0, 100),
+            usedGb: round2(usedBytes / 1024 / 1024 / 1024),
+            freeGb: round2(freeBytes / 1024 / 1024 / 1024),
+            usagePct:
+                totalBytes > 0
+                    ? clamp(Math.round((usedBytes / totalBytes) * 100), 0, 100)
+                    : 0,
+            inodesTotal: fs.files,
+            inodesUsed,
+            inodesUsagePct:
+                fs.files > 0
+                    ? clamp(Math.round((inodesUsed / fs.files) * 100), 0, 100)
+                    : null,
+            readOnly: mount.readOnly,
+        });
+        usage.set(name, {
+            totalBytes,
+            usedBytes,
+            freeBytes,
+            inodesTotal: fs.files,
+            inodesUsed,
+        });
+        devices.push({
+            disk: name,
+            device: await resolveBlockDevice(io, mount.source),
+            devId: mount.devId,
         });
     }
 
-    const deduped = [];
-    const seen = new Set();
-    for (const row of rows) {
-        if (seen.has(row.name)) continue;
-        seen.add(row.name);
-        deduped.push(row);
-        if (deduped.length >= maxDisks) break;
+    return { rows, usage, devices, skipped };
+}
+
+function parsePasswd(raw) {
+    const users = new Map();
+    for (const line of raw.split("\n")) {
+        const [name, , uid] = line.split(":");
+        if (!name || uid == null) continue;
+        users.set(uid, name);
     }
-    return {
-        rows: deduped,
-        skippedEfi,
-    };
+    return users;
 }
 
-async function readStaticSnapshot(maxDisks, preferredDiskTempId) {
-    const [memRaw, diskSnapshot, sensorsRaw] = await Promise.all([
-        readFile("/proc/meminfo", "utf8"),
-        readDiskRows(maxDisks),
-        readSensorsOutput(),
-    ]);
+// Cached per host so a different --etc-root is read once on its own.
+const passwdUsers = new WeakMap();
 
-    const sensors = parseSensorsOutput(sensorsRaw);
-    const selectedDiskTemp = selectDiskTempFromSensors(
-        sensors.entries,
-        preferredDiskTempId,
-    );
+async function readUserNames(io) {
+    if (!passwdUsers.has(io)) {
+        let users;
+        try {
+            users = parsePasswd(await io.readFile("etc", "passwd"));
+        } catch {
+            users = new Map();
+        }
+        passwdUsers.set(io, users);
+    }
+    return passwdUsers.get(io);
+}
 
+function parseProcStat(raw) {
+    // comm may itself contain spaces and parentheses, so split after the last ")".
+    const open = raw.indexOf("(");
+    const close = raw.lastIndexOf(")");
+    if (open === -1 || close === -1) return null;
+    const fields = raw
+        .slice(close + 2)
+        .trim()
+        .split(/\s+/);
     return {
-        memory: parseMeminfo(memRaw),
-        disks: diskSnapshot.rows,
-        diskTempC: selectedDiskTemp?.tempC ?? null,
-        diskTempSource: selectedDiskTemp?.source ?? "none",
-        skippedEfi: diskSnapshot.skippedEfi,
-        sensorsEntryCount: sensors.entries.length,
+        comm: raw.slice(open + 1, close),
+        state: fields[0] ?? "?",
+        cpuTicks: (Number(fields[11]) || 0) + (Number(fields[12]) || 0),
+        threads: Number(fields[17]) || 0,
+        startTime: fields[19] ?? "",
     };
 }
 
-async function readDynamicSnapshot(preferredIface, cpuTempReader) {
-    const [cpuRaw, loadRaw, netRaw, routeRaw, tempSnapshot] = await Promise.all(
-        [
-            readFile("/proc/stat", "utf8"),
-            readFile("/proc/loadavg", "utf8"),
-            readFile("/proc/net/dev", "utf8"),
-            readFile("/proc/net/route", "utf8"),
-            cpuTempReader.read(),
-        ],
-    );
-
-    const cpuStats = parseCpuStats(cpuRaw);
-    const loadAvg = parseLoadAvg(loadRaw);
-    const netMap = parseNetDev(netRaw);
-    const defaultIface = parseDefaultRouteIface(routeRaw);
-    const iface = selectNetInterface(netMap, preferredIface, defaultIface);
-    const net = netMap.get(iface) ?? { rxBytes: 0, txBytes: 0 };
-
+function parseProcStatus(raw) {
+    const values = {};
+    for (const line of raw.split("\n")) {
+        const separator = line.indexOf(":");
+        if (separator === -1) continue;
+        values[line.slice(0, separator)] = line.slice(separator + 1).trim();
+    }
     return {
-        timestampMs: Date.now(),
-        cpuStats,
-        loadAvg,
-        tempC: tempSnapshot.tempC,
-        tempSource: tempSnapshot.source,
-        iface,
-        rxBytes: net.rxBytes,
-        txBytes: net.txBytes,
+        uid: (values.Uid ?? "").split(/\s+/)[0] ?? "",
+        rssKb: Number((values.VmRSS ?? "0").split(/\s+/)[0]) || 0,
     };
 }
 
-async function collectUpdates(
-    updateCount,
-    intervalMs,
-    preferredIface,
-    cpuTempReader,
-) {
-    let previous = await readDynamicSnapshot(preferredIface, cpuTempReader);
-    const updates = [];
+const PROC_READ_BATCH = 64;
+const MAX_CMDLINE_LENGTH = 512;
 
-    for (let i = 0; i < updateCount; i += 1) {
-        await sleep(intervalMs);
-        const current = await readDynamicSnapshot(
-            previous.iface || preferredIface,
-            cpuTempReader,
+async function readProcessSamples(io, includeCmdline) {
+    let pids = [];
+    try {
+        pids = (await io.readdir("proc", "")).filter((name) =>
+            /^\d+$/.test(name),
         );
+    } catch {
+        return new Map();
+    }
 
-        const deltaSec = Math.max(
-            0.001,
-            (current.timestampMs - previous.timestampMs) / 1000,
-        );
-        const threadKeys = [...current.cpuStats.keys()]
-            .filter((key) => /^cpu\d+$/.test(key))
-            .sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)));
+    const samples = new Map();
+    const readOne = async (pid) => {
+        try {
+            const [statRaw, statusRaw, cmdlineRaw] = await Promise.all([
+                io.readFile("proc", path.join(pid, "stat")),
+                io.readFile("proc", path.join(pid, "status")),
+                includeCmdline
+                    ? io
+                          .readFile("proc", path.join(pid, "cmdline"))
+                          .catch(() => "")
+                    : "",
+            ]);
+            const stat = parseProcStat(statRaw);
+            if (!stat) return;
+            samples.set(pid, {
+                ...stat,
+                ...parseProcStatus(statusRaw),
+                cmdline: cmdlineRaw
+                    .replace(/\0+$/, "")
+                    .replace(/\0/g, " ")
+                    .slice(0, MAX_CMDLINE_LENGTH),
+            });
+        } catch {
+            // Processes routinely exit between readdir and read.
+        }
+    };
 
-        const perThreadPct = threadKeys.map((key) =>
-            computeCpuUsagePct(previous.cpuStats, current.cpuStats, key),
-        );
-        const totalUsagePct = computeCpuUsagePct(
-            previous.cpuStats,
-            current.cpuStats,
-            "cpu",
-        );
+    for (let i = 0; i < pids.length; i += PROC_READ_BATCH) {
+        await Promise.all(pids.slice(i, i + PROC_READ_BATCH).map(readOne));
+    }
+    return samples;
+}
+
+function buildProcessList(
+    prevSamples,
+    currSamples,
+    deltaSec,
+    userNames,
+    limit,
+    includeCmdline,
+) {
+    const rows = [];
+    for (const [pid, curr] of currSamples) {
+        const prev = prevSamples.get(pid);
+        const deltaTicks =
+            prev && prev.startTime === curr.startTime
+                ? Math.max(0, curr.cpuTicks - prev.cpuTicks)
+                : 0;
+        rows.push({
+            pid: Number(pid),
+            comm: curr.comm,
+            user: userNames.get(curr.uid) ?? curr.uid,
+            state: curr.state,
+            cpuPct: round1((deltaTicks / USER_HZ / deltaSec) * 100),
+            rssMb: round1(curr.rssKb / 1024),
+            threads: curr.threads,
+            ...(includeCmdline ? { cmdline: curr.cmdline || null } : {}),
+        });
+    }
+
+    return {
+        byCpu: [...rows]
+            .sort((a, b) => b.cpuPct - a.cpuPct || b.rssMb - a.rssMb)
+            .slice(0, limit),
+        byRss: [...rows]
+            .sort((a, b) => b.rssMb - a.rssMb || b.cpuPct - a.cpuPct)
+            .slice(0, limit),
+    };
+}
+
+// Hybrid hosts mount the v2 hierarchy under unified/ next to the v1 ones.
+const CGROUP_MOUNTS = ["fs/cgroup", "fs/cgroup/unified"];
+const CGROUP_MAX_DEPTH = 8;
+const CGROUP_INTERFACE_FILE =
+    /^(cgroup|cpu|cpuset|io|memory|pids|hugetlb|rdma|misc|irq)\./;
+const CGROUP_CONTAINERS = [
+    [/^docker-([0-9a-f]{64})\.scope$/, "docker"],
+    [/^libpod-([0-9a-f]{64})\.scope$/, "podman"],
+    [/^cri-containerd-([0-9a-f]{64})\.scope$/, "containerd"],
+    [/^crio-([0-9a-f]{64})\.scope$/, "cri-o"],
+];
+
+// Names the cgroup after what usually put it there: a container runtime
+// (by short id), a systemd service or scope, or else its path.
+function describeCgroup(cgroupPath) {
+    const name = path.basename(cgroupPath);
+    for (const [pattern, kind] of CGROUP_CONTAINERS) {
+        const match = pattern.exec(name);
+        if (match) return { kind, name: `${kind}:${match[1].slice(0, 12)}` };
+    }
+    // The cgroupfs drivers use <runtime>/<id> instead of systemd scopes.
+    if (/^[0-9a-f]{64}$/.test(name)) {
+        const parent = path.basename(path.dirname(cgroupPath));
+        const kind = parent === "libpod_parent" ? "podman" : parent;
+        return { kind, name: `${kind}:${name.slice(0, 12)}` };
+    }
+    if (name.endsWith(".service")) return { kind: "service", name };
+    if (name.endsWith(".scope")) return { kind: "scope", name };
+    return { kind: "cgroup", name: cgroupPath };
+}
+
+function parseCgroupKeyedFile(raw) {
+    const values = {};
+    for (const line of raw.split("\n")) {
+        const [key, value] = line.trim().split(/\s+/);
+        if (key && value !== undefined) values[key] = Number(value);
+    }
+    return values;
+}
+
+// io.stat has one line per device: "8:0 rbytes=1 wbytes=2 rios=3 ...".
+function parseCgroupIoStat(raw) {
+    let readBytes = 0;
+    let writeBytes = 0;
+    for (const line of raw.split("\n")) {
+        for (const field of line.trim().split(/\s+/).slice(1)) {
+            const [key, value] = field.split("=");
+            if (key === "rbytes") readBytes += Number(value) || 0;
+            if (key === "wbytes") writeBytes += Number(value) || 0;
+        }
+    }
+    return { readBytes, writeBytes };
+}
+
+async function findCgroupMount(io) {
+    for (const mount of CGROUP_MOUNTS) {
+        try {
+            await io.readFile("sys", path.join(mount, "cgroup.controllers"));
+            return mount;
+        } catch {
+            // Not a v2 hierarchy.
+        }
+    }
+    return null;
+}
+
+async function readCgroupSample(io, dir) {
+    const optional = (file) =>
+        io.readFile("sys", path.join(dir, file)).catch(() => null);
+    const [cpuRaw, memoryRaw, memoryMaxRaw, ioRaw, pidsRaw] = await Promise.all(
+        [
+            io.readFile("sys", path.join(dir, "cpu.stat")),
+            optional("memory.current"),
+            optional("memory.max"),
+            optional("io.stat"),
+            optional("pids.current"),
+        ],
+    );
+    const memoryMax = memoryMaxRaw?.trim();
+    return {
+        usageUsec: parseCgroupKeyedFile(cpuRaw).usage_usec ?? 0,
+        memoryBytes: memoryRaw === null ? null : Number(memoryRaw) || 0,
+        memoryMaxBytes:
+            !memoryMax || memoryMax === "max" ? null : Number(memoryMax),
+        io: ioRaw === null ? null : parseCgroupIoStat(ioRaw),
+        pids: pidsRaw === null ? null : Number(pidsRaw) || 0,
+    };
+}
 
-        const downloadKibps = round2(
-            Math.max(0, (current.rxBytes - previous.rxBytes) / deltaSec / 1024),
+// cpu.stat and friends include every descendant, so a cgroup is reported
+// once as a whole when it is a service, scope or container, or has no
+// children. Slices and runtime parents such as docker/ are only walked
+// through.
+async function readCgroupSamples(io) {
+    const samples = new Map();
+    const mount = await findCgroupMount(io);
+    if (!mount) return samples;
+
+    const visit = async (cgroupPath, depth) => {
+        const dir = path.join(mount, cgroupPath);
+        let names = [];
+        try {
+            names = await io.readdir("sys", dir);
+        } catch {
+            return;
+        }
+        const children = names.filter(
+            (name) =>
+                !CGROUP_INTERFACE_FILE.test(name) ||
+                /\.(slice|service|scope)$/.test(name),
         );
-        const uploadKibps = round2(
-            Math.max(0, (current.txBytes - previous.txBytes) / deltaSec / 1024),
+        const reported =
+            cgroupPath !== "/" &&
+            !cgroupPath.endsWith(".slice") &&
+            (children.length === 0 ||
+                describeCgroup(cgroupPath).kind !== "cgroup");
+        if (reported) {
+            try {
+                samples.set(cgroupPath, await readCgroupSample(io, dir));
+            } catch {
+                // Not a cgroup after all, or it went away.
+            }
+            return;
+        }
+        if (depth >= CGROUP_MAX_DEPTH) return;
+        await Promise.all(
+            children.map((name) =>
+                visit(path.posix.join(cgroupPath, name), depth + 1),
+            ),
         );
+    };
+    await visit("/", 0);
+    return samples;
+}
 
-        updates.push({
-            cpu: {
-                perThreadPct,
-                totalUsagePct,
-                loadAvg: current.loadAvg,
-                tempC: current.tempC,
-            },
-            network: {
-                downloadKibps,
-                uploadKibps,
-            },
+function buildCgroupList(prevSamples, currSamples, deltaSec, limit) {
+    const rows = [];
+    const rate = (curr, prev) =>
+        round2(Math.max(0, curr - prev) / deltaSec / 1024);
+    for (const [cgroupPath, curr] of currSamples) {
+        const prev = prevSamples.get(cgroupPath);
+        const deltaUsec = prev
+            ? Math.max(0, curr.usageUsec - prev.usageUsec)
+            : 0;
+        const memoryMb =
+            curr.memoryBytes === null
+                ? null
+                : round1(curr.memoryBytes / 1024 / 1024);
+        rows.push({
+            ...describeCgroup(cgroupPath),
+            path: cgroupPath,
+            cpuPct: round1((deltaUsec / 1e6 / deltaSec) * 100),
+            memoryMb,
+            memoryMaxMb:
+                curr.memoryMaxBytes === null
+                    ? null
+                    : round1(curr.memoryMaxBytes / 1024 / 1024),
+            memoryPct:
+                curr.memoryMaxBytes && curr.memoryBytes !== null
+                    ? round1((curr.memoryBytes / curr.memoryMaxBytes) * 100)
+                    : null,
+            readKibps:
+                curr.io && prev?.io
+                    ? rate(curr.io.readBytes, prev.io.readBytes)
+                    : null,
+            writeKibps:
+                curr.io && prev?.io
+                    ? rate(curr.io.writeBytes, prev.io.writeBytes)
+                    : null,
+            pids: curr.pids,
         });
+    }
 
-        console.log(
-            `tick ${i + 1}/${updateCount}: cpu=${totalUsagePct}% temp=${current.tempC.toFixed(1)}C net=${downloadKibps}/${uploadKibps} kibps iface=${current.iface}`,
-        );
-        if (current.tempC === 0) {
-            console.log(`  temp source unresolved (${current.tempSource}).`);
-        }
+    const memory = (row) => row.memoryMb ?? 0;
+    return {
+        byCpu: [...rows]
+            .sort((a, b) => b.cpuPct - a.cpuPct || memory(b) - memory(a))
+            .slice(0, limit),
+        byMemory: [...rows]
+            .sort((a, b) => memory(b) - memory(a) || b.cpuPct - a.cpuPct)
+            .slice(0, limit),
+    };
+}
+
+const DISK_HWMON_CHIPS = new Set(["nvme", "drivetemp"]);
 
-        previous = current;
+async function listHwmonBlockDevices(io, hwmonDir) {
+    const devicePath = path.join(hwmonDir, "device");
+    // drivetemp hangs off the SCSI device, which lists its disk under block/.
+    try {
+        return await io.readdir("sys", path.join(devicePath, "block"));
+    } catch {
+        // Not a SCSI disk.
     }
 
-    return updates;
+    // nvme hangs off the controller, whose namespaces are its children. Older
+    // kernels attach it to the PCI device instead, one level further up.
+    const namespaces = (names) =>
+        names.filter((name) => /^nvme\d+n\d+$/.test(name));
+    try {
+        const children = await io.readdir("sys", devicePath);
+        if (!children.includes("nvme")) return namespaces(children);
+        const found = [];
+        for (const controller of await io.readdir(
+            "sys",
+            path.join(devicePath, "nvme"),
+        )) {
+            found.push(
+                ...namespaces(
+                    await io.readdir(
+                        "sys",
+                        path.join(devicePath, "nvme", controller),
+                    ),
+                ),
+            );
+        }
+        return found;
+    } catch {
+        return [];
+    }
 }
 
-async function main() {
-    const { options, overrides } = parseArgs(process.argv.slice(2));
+async function resolveParentDisks(io, device, depth = 0) {
+    // Device-mapper and md volumes list what they sit on under slaves/.
+    if (/^(dm-\d+|md\d+)$/.test(device)) {
+        if (depth > 4) return [];
+        let slaves = [];
+        try {
+            slaves = await io.readdir(
+                "sys",
+                path.join("class/block", device, "slaves"),
+            );
+        } catch {
+            return [];
+        }
+        const parents = [];
+        for (const slave of slaves) {
+            parents.push(...(await resolveParentDisks(io, slave, depth + 1)));
+        }
+        return parents;
+    }
+    const match =
+        /^(nvme\d+n\d+|mmcblk\d+)p\d+$/.exec(device) ??
+        /^((?:[shv]|xv)d[a-z]+)\d+$/.exec(device);
+    return [match ? match[1] : device];
+}
 
-    if (options.help) {
-        usage();
-        return;
+// Maps disk row names to the hottest drive they live on.
+async function readDiskTemps(io, diskDevices) {
+    const byBlockDevice = new Map();
+    let entries = [];
+    try {
+        entries = await io.readdir("sys", "class/hwmon");
+    } catch {
+        return new Map();
+    }
+    for (const entry of entries) {
+        if (!/^hwmon\d+$/.test(entry)) continue;
+        const hwmonDir = path.join("class/hwmon", entry);
+        try {
+            const chip = (
+                await io.readFile("sys", path.join(hwmonDir, "name"))
+            ).trim();
+            if (!DISK_HWMON_CHIPS.has(chip)) continue;
+            // temp1 is the composite (nvme) or drive (drivetemp) reading.
+            const celsius = normalizeTempValue(
+                (
+                    await io.readFile("sys", path.join(hwmonDir, "temp1_input"))
+                ).trim(),
+            );
+            if (celsius == null) continue;
+            for (const block of await listHwmonBlockDevices(io, hwmonDir)) {
+                byBlockDevice.set(block, celsius);
+            }
+        } catch {
+            // Chip without a readable name or temperature.
+        }
     }
 
-    if (process.platform !== "linux") {
-        throw new Error("This script requires Linux (/proc and /sys).");
+    const byDisk = new Map();
+    if (byBlockDevice.size === 0) return byDisk;
+    for (const { disk, device } of diskDevices) {
+        if (!device) continue;
+        for (const parent of await resolveParentDisks(io, device)) {
+            const celsius = byBlockDevice.get(parent);
+            if (celsius == null) continue;
+            byDisk.set(disk, Math.max(byDisk.get(disk) ?? celsius, celsius));
+        }
     }
+    return byDisk;
+}
 
-    if (!options.out) {
-        throw new Error("Missing required option: --out=<path>");
+async function readStaticSnapshot(io, options) {
+    const [memRaw, diskSnapshot, sensorsRaw, cpuFreq] = await Promise.all([
+        io.readFile("proc", "meminfo"),
+        readDiskRows(io, options),
+        readSensorsOutput(io),
+        io
+            .readFile("proc", "stat")
+            .then((raw) =>
+                readCpuFreqLimits(io, listThreadKeys(parseCpuStats(raw))),
+            ),
+    ]);
+
+    const sensors = parseSensorsOutput(sensorsRaw);
+    const selectedDiskTemp = selectDiskTempFromSensors(
+        sensors.entries,
+        options.diskTempId,
+    );
+
+    let disks = diskSnapshot.rows;
+    if (options.temps) {
+        const diskTemps = await readDiskTemps(io, diskSnapshot.devices);
+        disks = disks.map((row) => ({
+            ...row,
+            tempC: diskTemps.get(row.name) ?? null,
+        }));
     }
 
-    logResolvedOptions(options, overrides);
+    return {
+        memory: parseMeminfo(memRaw),
+        meminfoKb: parseMeminfoFields(memRaw),
+        disks,
+        diskUsage: diskSnapshot.usage,
+        diskDevices: diskSnapshot.devices,
+        diskTempC: selectedDiskTemp?.tempC ?? null,
+        diskTempSource: selectedDiskTemp?.source ?? "none",
+        cpuFreq,
+        skippedMounts: diskSnapshot.skipped,
+        sensorsEntryCount: sensors.entries.length,
+    };
+}
+
+async function readDynamicSnapshot(
+    io,
+    options,
+    cpuTempReader,
+    preferredIface = options.iface,
+) {
+    const [
+        cpuRaw,
+        loadRaw,
+        netRaw,
+        routeRaw,
+        diskStatsRaw,
+        memRaw,
+        pressure,
+        tempSnapshot,
+        processes,
+        cgroups,
+    ] = await Promise.all([
+        io.readFile("proc", "stat"),
+        io.readFile("proc", "loadavg"),
+        io.readFile("proc", "net/dev"),
+        io.readFile("proc", "net/route"),
+        io.readFile("proc", "diskstats").catch(() => ""),
+        io.readFile("proc", "meminfo"),
+        readPressure(io),
+        cpuTempReader.read(),
+        options.topProcs > 0
+            ? readProcessSamples(io, !options.hideCmdline)
+            : null,
+        options.topCgroups > 0 ? readCgroupSamples(io) : null,
+    ]);
+
+    const cpuStats = parseCpuStats(cpuRaw);
+    const cpuMhz = await readCpuFrequencies(io, listThreadKeys(cpuStats));
+    const loadAvg = parseLoadAvg(loadRaw);
+    const netMap = parseNetDev(netRaw);
+    const defaultIface = parseDefaultRouteIface(routeRaw);
+    const ifaceMatchers = parseIfaceSelector(options.iface);
+    const ifaces = ifaceMatchers
+        ? matchInterfaces(netMap, ifaceMatchers)
+        : null;
+    // With a list or glob, the compatibility `network` object follows the
+    // default route when it is matched and the first match otherwise.
+    const fallbackIface =
+        ifaces && ifaces.length > 0 && !ifaces.includes(defaultIface)
+            ? ifaces[0]
+            : defaultIface;
+    const iface = selectNetInterface(netMap, preferredIface, fallbackIface);
+    const net = netMap.get(iface) ?? { rxBytes: 0, txBytes: 0 };
+
+    return {
+        timestampMs: io.now(),
+        cpuStats,
+        cpuMhz,
+        loadAvg,
+        tempC: tempSnapshot.tempC,
+        tempSource: tempSnapshot.source,
+        tempReadings: tempSnapshot.readings,
+        iface,
+        rxBytes: net.rxBytes,
+        txBytes: net.txBytes,
+        netMap,
+        ifaces,
+        diskStats: parseDiskStats(diskStatsRaw),
+        memory: parseMeminfo(memRaw),
+        meminfoKb: parseMeminfoFields(memRaw),
+        pressure,
+        processes,
+        userNames: processes ? await readUserNames(io) : null,
+        cgroups,
+    };
+}
+
+function buildUpdate(previous, current, options, staticState) {
+    const deltaSec = Math.max(
+        0.001,
+        (current.timestampMs - previous.timestampMs) / 1000,
+    );
+    const threadKeys = listThreadKeys(current.cpuStats);
+
+    const perThreadPct = threadKeys.map((key) =>
+        computeCpuUsagePct(previous.cpuStats, current.cpuStats, key),
+    );
+    const totalUsagePct = computeCpuUsagePct(
+        previous.cpuStats,
+        current.cpuStats,
+        "cpu",
+    );
+
+    const downloadKibps = round2(
+        Math.max(0, (current.rxBytes - previous.rxBytes) / deltaSec / 1024),
+    );
+    const uploadKibps = round2(
+        Math.max(0, (current.txBytes - previous.txBytes) / deltaSec / 1024),
+    );
+
+    return {
+        cpu: {
+            perThreadPct,
+            totalUsagePct,
+            loadAvg: current.loadAvg,
+            tempC: current.tempC,
+            perThreadMhz: threadKeys.map(
+                (key) => current.cpuMhz.get(key) ?? null,
+            ),
+            ...(options.cpuBreakdown
+                ? {
+                      breakdownPct: computeCpuBreakdownPct(
+                          previous.cpuStats,
+                          current.cpuStats,
+                          "cpu",
+                      ),
+                      perThreadBreakdownPct: threadKeys.map((key) =>
+                          computeCpuBreakdownPct(
+                              previous.cpuStats,
+                              current.cpuStats,
+                              key,
+                          ),
+                      ),
+                  }
+                : {}),
+        },
+        network: {
+            downloadKibps,
+            uploadKibps,
+        },
+        ...(current.ifaces
+            ? {
+                  interfaces: computeInterfaceRates(
+                      previous.netMap,
+                      current.netMap,
+                      current.ifaces,
+                      deltaSec,
+                  ),
+              }
+            : {}),
+        ...(options.temps
+            ? { temps: buildTempsSection(current.tempReadings) }
+            : {}),
+        memory: current.memory,
+        pressure: computePressure(previous.pressure, current.pressure),
+        diskIo: computeDiskIo(
+            previous.diskStats,
+            current.diskStats,
+            deltaSec,
+            staticState.staticSnapshot.diskDevices,
+        ),
+        ...(current.processes
+            ? {
+                  processes: buildProcessList(
+                      previous.processes ?? new Map(),
+                      current.processes,
+                      deltaSec,
+                      current.userNames,
+                      options.topProcs,
+                      !options.hideCmdline,
+                  ),
+              }
+            : {}),
+        ...(current.cgroups
+            ? {
+                  cgroups: buildCgroupList(
+                      previous.cgroups ?? new Map(),
+                      current.cgroups,
+                      deltaSec,
+                      options.topCgroups,
+                  ),
+              }
+            : {}),
+        ...(current.plugins ? { plugins: current.plugins } : {}),
+    };
+}
+
+const PLUGIN_HOOKS = ["collectStatic", "collectTick"];
+
+// A plugin is an ES module exporting collectStatic() and/or collectTick();
+// `export const name` (or the file name) becomes its key under "plugins".
+// The manifest goes through io so a replay knows the plugins without
+// importing them.
+async function loadPlugins(io, pluginPaths) {
+    if (pluginPaths.length === 0) return [];
+    const modules = new Map();
+    const manifest = await io.plugin("manifest", async () => {
+        const entries = [];
+        for (const pluginPath of pluginPaths) {
+            const resolved = path.resolve(process.cwd(), pluginPath);
+            let module;
+            try {
+                module = await import(pathToFileURL(resolved).href);
+            } catch (error) {
+                throw new Error(
+                    `Could not load plugin ${pluginPath}: ${error.message}`,
+                );
+            }
+            const name =
+                module.name ??
+                path.basename(resolved).replace(/\.[cm]?js$/, "");
+            if (typeof name !== "string" || !/^[\w-]+$/.test(name)) {
+                throw new Error(
+                    `Plugin ${pluginPath} has an invalid name ${JSON.stringify(name)} (letters, digits, _ and - only)`,
+                );
+            }
+            if (modules.has(name)) {
+                throw new Error(
+                    `Plugin ${pluginPath} reuses the name "${name}"; export a different name.`,
+                );
+            }
+            const hooks = PLUGIN_HOOKS.filter(
+                (hook) => typeof module[hook] === "function",
+            );
+            if (hooks.length === 0) {
+                throw new Error(
+                    `Plugin ${pluginPath} exports neither collectStatic() nor collectTick().`,
+                );
+            }
+            modules.set(name, module);
+            entries.push({ name, hooks });
+        }
+        return entries;
+    });
+    return manifest.map(({ name, hooks }) => ({
+        name,
+        hooks,
+        module: modules.get(name) ?? null,
+        failures: new Map(),
+    }));
+}
+
+// A hook that throws, hangs or returns something JSON cannot carry yields
+// null for its own entry only. Repeated failures are logged once until the
+// message changes.
+async function runPluginHook(io, plugin, hook, context, timeoutMs) {
+    const run = async () => {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new Error(`timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+        });
+        try {
+            const result = await Promise.race([
+                (async () =>
+                    plugin.module[hook]({
+                        ...context,
+                        signal: controller.signal,
+                    }))(),
+                timeout,
+            ]);
+            plugin.failures.delete(hook);
+            return JSON.parse(JSON.stringify(result ?? null) ?? "null");
+        } catch (error) {
+            // Plugins may throw anything, including null or a bare string.
+            const message =
+                error instanceof Error ? error.message : String(error);
+            if (plugin.failures.get(hook) !== message) {
+                plugin.failures.set(hook, message);
+                console.error(
+                    `Plugin ${plugin.name} ${hook}() failed: ${message}`,
+                );
+            }
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+    return io.plugin(`${plugin.name}:${hook}`, run);
+}
+
+async function runPlugins(io, plugins, hook, contextFor, timeoutMs) {
+    const active = plugins.filter((plugin) => plugin.hooks.includes(hook));
+    if (active.length === 0) return null;
+    const results = await Promise.all(
+        active.map((plugin) =>
+            runPluginHook(io, plugin, hook, contextFor(plugin), timeoutMs),
+        ),
+    );
+    return Object.fromEntries(
+        active.map((plugin, index) => [plugin.name, results[index]]),
+    );
+}
+
+// Plugin ticks run after the host sample and see their own previous result,
+// so counters can be turned into rates like the built-in ones.
+function readPluginTicks(io, options, plugins, current, last) {
+    return runPlugins(
+        io,
+        plugins,
+        "collectTick",
+        (plugin) => ({
+            options: { ...options },
+            roots: io.roots,
+            previous: last?.plugins?.[plugin.name] ?? null,
+            deltaSec: last
+                ? Math.max(
+                      0.001,
+                      (current.timestampMs - last.timestampMs) / 1000,
+                  )
+                : null,
+        }),
+        options.pluginTimeoutMs,
+    );
+}
+
+async function readStaticState(io, options, plugins = []) {
+    const [staticSnapshot, upsSnapshots, pluginResults] = await Promise.all([
+        readStaticSnapshot(io, options),
+        readUpsSnapshots(io, options.upsServer),
+        runPlugins(
+            io,
+            plugins,
+            "collectStatic",
+            () => ({ options: { ...options }, roots: io.roots }),
+            options.pluginTimeoutMs,
+        ),
+    ]);
+    return { staticSnapshot, upsSnapshots, plugins: pluginResults };
+}
 
-    const cpuTempReader = await createCpuTempReader(options.cpuTempId);
+function logCpuTempReader(cpuTempReader, options) {
     console.log(
         `CPU temp probes: found=${cpuTempReader.probeCount}, cpu-hints=${cpuTempReader.cpuHintCount}`,
     );
     if (cpuTempReader.probeCount === 0) {
         console.log(
-            "CPU temp note: no readable probes found in /sys/class/thermal or /sys/class/hwmon; temp will report 0C.",
+            `CPU temp note: no readable probes found in ${path.join(options.sysRoot, "class/thermal")} or ${path.join(options.sysRoot, "class/hwmon")}; temp will report 0C.`,
         );
     } else if (cpuTempReader.cpuHintCount === 0) {
         console.log(
@@ -908,14 +3492,12 @@ async function main() {
             `CPU temp selection: forcing sensors id match for "${options.cpuTempId}"`,
         );
     }
+}
 
-    console.log("Reading static snapshot...");
-    const [staticSnapshot, upsSnapshot] = await Promise.all([
-        readStaticSnapshot(options.maxDisks, options.diskTempId),
-        readUpsSnapshot(options.upsServer),
-    ]);
+function logStaticState(staticState, options) {
+    const { staticSnapshot, upsSnapshots } = staticState;
     console.log(
-        `Static snapshot: disks=${staticSnapshot.disks.length} (filtered efi=${staticSnapshot.skippedEfi}, sensors-entries=${staticSnapshot.sensorsEntryCount})`,
+        `Static snapshot: disks=${staticSnapshot.disks.length} (skipped mounts=${staticSnapshot.skippedMounts}, sensors-entries=${staticSnapshot.sensorsEntryCount})`,
     );
     if (options.diskTempId) {
         console.log(
@@ -931,47 +3513,3229 @@ async function main() {
             `Disk temp unresolved (source=${staticSnapshot.diskTempSource}).`,
         );
     }
-    if (options.upsServer && upsSnapshot?.status !== "unavailable") {
-        const chargeDisplay = upsSnapshot?.batteryChargePct ?? "n/a";
-        const loadDisplay = upsSnapshot?.loadPct ?? "n/a";
+    for (const ups of upsSnapshots) {
+        if (ups.status === "unavailable") {
+            console.log(
+                `UPS snapshot unresolved for ${ups.name}@${ups.server} (${ups.error}).`,
+            );
+            continue;
+        }
+        const chargeDisplay = ups.batteryChargePct ?? "n/a";
+        const loadDisplay = ups.loadPct ?? "n/a";
         console.log(
-            `UPS snapshot: status=${upsSnapshot?.status ?? "unknown"} charge=${chargeDisplay}% load=${loadDisplay}%`,
+            `UPS snapshot ${ups.name}@${ups.server}: status=${ups.status} charge=${chargeDisplay}% load=${loadDisplay}%`,
         );
     }
+}
 
-    console.log(
-        `Capturing ${options.updates} updates every ${options.intervalMs}ms...`,
-    );
-    const updates = await collectUpdates(
-        options.updates,
-        options.intervalMs,
-        options.iface,
-        cpuTempReader,
-    );
-    if (cpuTempReader.sensorsAvailable()) {
-        console.log(
-            "CPU temp source: using sensors fallback when sysfs probes are unavailable.",
+const ALERT_HOOK_TIMEOUT_MS = 10000;
+
+// [name:] path operator value [for N ticks], e.g.
+// "disk-full: disks[root].usagePct > 85" or "ups.status contains OB".
+function parseAlertRule(text) {
+    const match =
+        /^(?:([\w.-]+):\s+)?(\S+)\s+(!?contains|[<>!=]=|[<>])\s+(.+?)(?:\s+for\s+(\d+)\s+ticks?)?$/.exec(
+            text.trim(),
+        );
+    if (!match) {
+        throw new Error(
+            `invalid alert rule "${text}" (expected [name:] path operator value [for N ticks])`,
         );
     }
+    const [, name, pathText, operator, valueText, forTicks] = match;
+    const segments = [];
+    for (const part of pathText.matchAll(/([^.[\]]+)|\[([^\]]*)\]/g)) {
+        segments.push(part[1] ?? { select: part[2] });
+    }
+    if (segments.length === 0 || typeof segments[0] !== "string") {
+        throw new Error(`invalid alert path "${pathText}" in "${text}"`);
+    }
+    return {
+        name: name ?? text.trim(),
+        text: text.trim(),
+        path: segments,
+        operator,
+        value: parseConfigScalar(valueText),
+        forTicks: forTicks ? Math.max(1, Number(forTicks)) : 1,
+    };
+}
 
-    const payload = {
-        memory: staticSnapshot.memory,
-        disks: staticSnapshot.disks,
-        diskTempC: staticSnapshot.diskTempC,
-        updates,
-        ...(upsSnapshot ? { ups: upsSnapshot } : {}),
+function parseWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw new Error(`invalid URL "${value}"`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new Error(`webhook URL must be http or https, got "${value}"`);
+    }
+    return url;
+}
+
+// Array selectors match an element's `name` (disks, interfaces, UPSes) or
+// an index.
+function resolveAlertPath(scope, segments) {
+    let value = scope;
+    for (const segment of segments) {
+        if (value == null) return null;
+        if (typeof segment === "string") {
+            value = value[segment];
+        } else if (Array.isArray(value)) {
+            value =
+                value.find((item) => item?.name === segment.select) ??
+                (/^\d+$/.test(segment.select)
+                    ? value[Number(segment.select)]
+                    : undefined);
+        } else {
+            value = value[segment.select];
+        }
+    }
+    return value ?? null;
+}
+
+function testAlertCondition(rule, actual) {
+    if (actual == null) return false;
+    const expected = rule.value;
+    switch (rule.operator) {
+        case "contains":
+        case "!contains": {
+            const found = Array.isArray(actual)
+                ? actual.includes(expected)
+                : String(actual).split(/\s+/).includes(String(expected));
+            return rule.operator === "contains" ? found : !found;
+        }
+        case "==":
+            return actual === expected || String(actual) === String(expected);
+        case "!=":
+            return actual !== expected && String(actual) !== String(expected);
+        default: {
+            const left = Number(actual);
+            const right = Number(expected);
+            if (!Number.isFinite(left) || !Number.isFinite(right)) return false;
+            if (rule.operator === ">") return left > right;
+            if (rule.operator === ">=") return left >= right;
+            if (rule.operator === "<") return left < right;
+            return left <= right;
+        }
+    }
+}
+
+// States: "ok" until the condition first holds, "pending" while it has held
+// for fewer than `for` ticks, then "firing", and "resolved" once it stops.
+function createAlertEngine(rules, previousStates = []) {
+    const states = rules.map((rule) => {
+        const carried = previousStates.find(
+            (state) => state.name === rule.name && state.rule === rule.text,
+        );
+        return {
+            name: rule.name,
+            rule: rule.text,
+            state: carried?.state ?? "ok",
+            value: carried?.value ?? null,
+            since: carried?.since ?? null,
+            matchedTicks: carried?.matchedTicks ?? 0,
+        };
+    });
+
+    return {
+        // Returns the alerts that started firing or resolved on this tick.
+        evaluate(scope, timestampMs) {
+            const at = new Date(timestampMs).toISOString();
+            const transitions = [];
+            rules.forEach((rule, index) => {
+                const state = states[index];
+                const value = resolveAlertPath(scope, rule.path);
+                state.value =
+                    value !== null && typeof value === "object" ? null : value;
+                const holds = testAlertCondition(rule, value);
+                state.matchedTicks = holds ? state.matchedTicks + 1 : 0;
+
+                let next = state.state;
+                if (holds) {
+                    next =
+                        state.matchedTicks >= rule.forTicks
+                            ? "firing"
+                            : "pending";
+                } else if (state.state === "firing") {
+                    next = "resolved";
+                } else if (state.state === "pending") {
+                    next = "ok";
+                }
+                if (next === state.state) return;
+                const wasFiring = state.state === "firing";
+                state.state = next;
+                state.since = at;
+                if (next === "firing" || wasFiring) {
+                    transitions.push({ ...state });
+                }
+            });
+            return transitions;
+        },
+        states: () => states.map((state) => ({ ...state })),
     };
+}
 
-    const outPath = path.resolve(process.cwd(), options.out);
-    await mkdir(path.dirname(outPath), { recursive: true });
-    await writeFile(outPath, `${JSON.stringify(payload, null, 4)}\n`, "utf8");
+async function runAlertHooks(transition, options) {
+    const tasks = [];
+    if (options.alertCommand) {
+        tasks.push(
+            execFileAsync("/bin/sh", ["-c", options.alertCommand], {
+                timeout: ALERT_HOOK_TIMEOUT_MS,
+                env: {
+                    ...process.env,
+                    WEBTOP_ALERT_NAME: transition.name,
+                    WEBTOP_ALERT_RULE: transition.rule,
+                    WEBTOP_ALERT_STATE: transition.state,
+                    WEBTOP_ALERT_VALUE: String(transition.value ?? ""),
+                    WEBTOP_ALERT_SINCE: transition.since,
+                },
+            }).catch((error) => {
+                throw new Error(
+                    `alert command failed: ${formatExecError(error)}`,
+                );
+            }),
+        );
+    }
+    if (options.alertWebhook) {
+        tasks.push(
+            fetch(options.alertWebhook, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ alert: transition }),
+                signal: AbortSignal.timeout(ALERT_HOOK_TIMEOUT_MS),
+            }).then(
+                (response) => {
+                    if (!response.ok) {
+                        throw new Error(
+                            `alert webhook answered ${response.status}`,
+                        );
+                    }
+                },
+                (error) => {
+                    throw new Error(`alert webhook failed: ${error.message}`);
+                },
+            ),
+        );
+    }
+    const results = await Promise.allSettled(tasks);
+    for (const result of results) {
+        if (result.status === "rejected") {
+            console.error(
+                `Alert ${transition.name} (${transition.state}): ${result.reason.message}`,
+            );
+        }
+    }
+}
 
-    console.log(
-        `Done: captured ${updates.length} updates (${updates[0]?.cpu.perThreadPct.length ?? 0} threads) -> ${outPath}`,
-    );
+const HISTORY_VERSION = 1;
+const HISTORY_BUCKET_MS = { minutes: 60 * 1000, hours: 60 * 60 * 1000 };
+const HISTORY_SERIES = [
+    ["cpuPct", (update) => update.cpu.totalUsagePct],
+    ["cpuTempC", (update) => update.cpu.tempC],
+    [
+        "diskTempC",
+        (update, staticState) => staticState.staticSnapshot.diskTempC,
+    ],
+    ["memoryUsedPct", (update) => update.memory.usedPct],
+    ["swapUsedPct", (update) => update.memory.swapUsedPct],
+    ["downloadKibps", (update) => update.network.downloadKibps],
+    ["uploadKibps", (update) => update.network.uploadKibps],
+];
+
+function parseHistoryBuckets(value, where) {
+    if (!Array.isArray(value)) {
+        throw new Error(`${where} is not a list of buckets`);
+    }
+    for (const bucket of value) {
+        if (
+            !Number.isFinite(bucket?.start) ||
+            !Number.isInteger(bucket.samples) ||
+            typeof bucket.series !== "object"
+        ) {
+            throw new Error(`${where} holds a malformed bucket`);
+        }
+    }
+    return value;
 }
 
-main().catch((error) => {
-    console.error(error instanceof Error ? error.message : String(error));
-    process.exitCode = 1;
-});
+function resolveHistoryPath(filePath) {
+    return filePath ? path.resolve(process.cwd(), filePath) : undefined;
+}
+
+async function loadHistoryStore(filePath) {
+    const historyPath = resolveHistoryPath(filePath);
+    let stored = { minutes: [], hours: [] };
+    let raw = null;
+    try {
+        raw = await readFile(historyPath, "utf8");
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw new Error(
+                `Cannot read history file ${historyPath}: ${error.message}`,
+            );
+        }
+    }
+    if (raw !== null) {
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(
+                `History file ${historyPath} is not valid JSON: ${error.message}`,
+            );
+        }
+        if (parsed?.version !== HISTORY_VERSION) {
+            throw new Error(
+                `History file ${historyPath} has unsupported version ${JSON.stringify(parsed?.version)}`,
+            );
+        }
+        stored = {
+            minutes: parseHistoryBuckets(parsed.minutes, historyPath),
+            hours: parseHistoryBuckets(parsed.hours, historyPath),
+        };
+    }
+
+    // Buckets keep sums rather than averages so a bucket that spans two runs
+    // still averages correctly.
+    const addTo = (buckets, bucketMs, values, timestampMs) => {
+        const start = Math.floor(timestampMs / bucketMs) * bucketMs;
+        let bucket = buckets[buckets.length - 1];
+        // A clock that went backwards lands in the newest bucket.
+        const rolled = !bucket || start > bucket.start;
+        if (rolled) {
+            bucket = { start, samples: 0, series: {} };
+            buckets.push(bucket);
+        }
+        bucket.samples += 1;
+        for (const [name, value] of values) {
+            const series = bucket.series[name];
+            if (series) {
+                series.min = Math.min(series.min, value);
+                series.max = Math.max(series.max, value);
+                series.sum += value;
+                series.count += 1;
+            } else {
+                bucket.series[name] = {
+                    min: value,
+                    max: value,
+                    sum: value,
+                    count: 1,
+                };
+            }
+        }
+        return rolled;
+    };
+
+    const prune = (buckets, bucketMs, retention, timestampMs) => {
+        const oldest = timestampMs - retention * bucketMs;
+        const keepFrom = buckets.findIndex((bucket) => bucket.start > oldest);
+        buckets.splice(0, keepFrom === -1 ? buckets.length : keepFrom);
+    };
+
+    const present = (bucket) => ({
+        start: new Date(bucket.start).toISOString(),
+        samples: bucket.samples,
+        ...Object.fromEntries(
+            HISTORY_SERIES.map(([name]) => {
+                const series = bucket.series[name];
+                return [
+                    name,
+                    series
+                        ? {
+                              min: round1(series.min),
+                              avg: round1(series.sum / series.count),
+                              max: round1(series.max),
+                          }
+                        : null,
+                ];
+            }),
+        ),
+    });
+
+    return {
+        path: historyPath,
+        // Returns true when the tick opened a new minute, i.e. the previous
+        // minute is complete and worth saving.
+        add(update, staticState, timestampMs) {
+            const values = [];
+            for (const [name, read] of HISTORY_SERIES) {
+                const value = read(update, staticState);
+                if (Number.isFinite(value)) values.push([name, value]);
+            }
+            let rolled = false;
+            for (const scale of ["minutes", "hours"]) {
+                const buckets = stored[scale];
+                const bucketMs = HISTORY_BUCKET_MS[scale];
+                if (addTo(buckets, bucketMs, values, timestampMs)) {
+                    prune(
+                        buckets,
+                        bucketMs,
+                        HISTORY_RETENTION[scale],
+                        timestampMs,
+                    );
+                    if (scale === "minutes") rolled = buckets.length > 1;
+                }
+            }
+            return rolled;
+        },
+        slice(minutes, hours) {
+            return {
+                minutes:
+                    minutes > 0
+                        ? stored.minutes.slice(-minutes).map(present)
+                        : [],
+                hours: hours > 0 ? stored.hours.slice(-hours).map(present) : [],
+            };
+        },
+        async save() {
+            await mkdir(path.dirname(historyPath), { recursive: true });
+            await writeFileAtomic(
+                historyPath,
+                `${JSON.stringify({ version: HISTORY_VERSION, ...stored })}\n`,
+            );
+        },
+    };
+}
+
+// Bump whenever a field is removed, renamed or changes type. Adding an
+// optional field only needs the schema below updated.
+const SCHEMA_VERSION = 1;
+
+const numberOrNull = { type: ["number", "null"] };
+const objectOf = (properties, required = Object.keys(properties)) => ({
+    type: "object",
+    properties,
+    required,
+    additionalProperties: false,
+});
+const numbersObject = (names) =>
+    objectOf(Object.fromEntries(names.map((name) => [name, numberOrNull])));
+
+const MEMORY_SCHEMA = numbersObject([
+    "usedGb",
+    "availableGb",
+    "cachedGb",
+    "usedPct",
+    "availablePct",
+    "cachedPct",
+    "totalGb",
+    "swapTotalGb",
+    "swapUsedGb",
+    "swapUsedPct",
+    "shmemGb",
+    "dirtyMb",
+    "writebackMb",
+    "zswapMb",
+    "zswappedMb",
+    "hugePagesTotal",
+    "hugePagesFree",
+    "hugePageSizeKb",
+]);
+
+const PRESSURE_LINE_SCHEMA = {
+    ...numbersObject(["avg10", "avg60", "stallMs"]),
+    type: ["object", "null"],
+};
+
+const PROCESS_SCHEMA = objectOf(
+    {
+        pid: { type: "integer" },
+        comm: { type: "string" },
+        user: { type: "string" },
+        state: { type: "string" },
+        cpuPct: { type: "number", minimum: 0 },
+        rssMb: { type: "number", minimum: 0 },
+        threads: { type: "integer" },
+        cmdline: { type: ["string", "null"] },
+    },
+    ["pid", "comm", "user", "state", "cpuPct", "rssMb", "threads"],
+);
+
+const CGROUP_SCHEMA = objectOf({
+    kind: { type: "string" },
+    name: { type: "string" },
+    path: { type: "string" },
+    cpuPct: { type: "number", minimum: 0 },
+    memoryMb: numberOrNull,
+    memoryMaxMb: numberOrNull,
+    memoryPct: numberOrNull,
+    readKibps: numberOrNull,
+    writeKibps: numberOrNull,
+    pids: { type: ["integer", "null"] },
+});
+
+const TEMPS_SCHEMA = objectOf({
+    probes: {
+        type: "array",
+        items: objectOf({
+            id: { type: "string" },
+            source: { enum: ["hwmon", "thermal", "sensors"] },
+            chip: { type: "string" },
+            label: { type: "string" },
+            celsius: { type: "number" },
+            highC: numberOrNull,
+            critC: numberOrNull,
+        }),
+    },
+    cores: {
+        type: "array",
+        items: objectOf({
+            chip: { type: "string" },
+            core: { type: "integer", minimum: 0 },
+            celsius: { type: "number" },
+        }),
+    },
+});
+
+// Plugins own their payloads; only the namespacing is checked.
+const PLUGINS_SCHEMA = { type: "object", additionalProperties: {} };
+
+const UPDATE_SCHEMA = objectOf(
+    {
+        cpu: objectOf(
+            {
+                perThreadPct: { type: "array", items: { type: "number" } },
+                totalUsagePct: { type: "number", minimum: 0, maximum: 100 },
+                loadAvg: {
+                    type: "array",
+                    items: { type: "number" },
+                    minItems: 3,
+                    maxItems: 3,
+                },
+                tempC: { type: "number" },
+                perThreadMhz: { type: "array", items: numberOrNull },
+                breakdownPct: numbersObject(CPU_BREAKDOWN_MODES),
+                perThreadBreakdownPct: {
+                    type: "array",
+                    items: numbersObject(CPU_BREAKDOWN_MODES),
+                },
+            },
+            [
+                "perThreadPct",
+                "totalUsagePct",
+                "loadAvg",
+                "tempC",
+                "perThreadMhz",
+            ],
+        ),
+        network: numbersObject(["downloadKibps", "uploadKibps"]),
+        interfaces: {
+            type: "array",
+            items: objectOf({
+                name: { type: "string" },
+                ...numbersObject([
+                    "downloadKibps",
+                    "uploadKibps",
+                    "rxPacketsPerSec",
+                    "txPacketsPerSec",
+                    "rxErrors",
+                    "txErrors",
+                    "rxDrops",
+                    "txDrops",
+                ]).properties,
+            }),
+        },
+        temps: TEMPS_SCHEMA,
+        memory: MEMORY_SCHEMA,
+        pressure: {
+            ...objectOf(
+                Object.fromEntries(
+                    PRESSURE_RESOURCES.map((resource) => [
+                        resource,
+                        {
+                            ...objectOf({
+                                some: PRESSURE_LINE_SCHEMA,
+                                full: PRESSURE_LINE_SCHEMA,
+                            }),
+                            type: ["object", "null"],
+                        },
+                    ]),
+                ),
+                [],
+            ),
+            type: ["object", "null"],
+        },
+        diskIo: {
+            type: "array",
+            items: objectOf({
+                device: { type: "string" },
+                disk: { type: ["string", "null"] },
+                ...numbersObject([
+                    "readKibps",
+                    "writeKibps",
+                    "readIops",
+                    "writeIops",
+                    "readAwaitMs",
+                    "writeAwaitMs",
+                    "utilPct",
+                ]).properties,
+            }),
+        },
+        processes: objectOf({
+            byCpu: { type: "array", items: PROCESS_SCHEMA },
+            byRss: { type: "array", items: PROCESS_SCHEMA },
+        }),
+        cgroups: objectOf({
+            byCpu: { type: "array", items: CGROUP_SCHEMA },
+            byMemory: { type: "array", items: CGROUP_SCHEMA },
+        }),
+        plugins: PLUGINS_SCHEMA,
+    },
+    ["cpu", "network", "memory", "pressure", "diskIo"],
+);
+
+// Unreachable UPSes only carry source, name, server, status and error.
+const UPS_SCHEMA = objectOf(
+    {
+        source: { const: "nut" },
+        name: { type: "string" },
+        server: { type: "string" },
+        status: { type: "string" },
+        error: { type: "string" },
+        flags: objectOf(
+            Object.fromEntries(
+                Object.values(UPS_STATUS_FLAGS).map((flag) => [
+                    flag,
+                    { type: "boolean" },
+                ]),
+            ),
+        ),
+        ...numbersObject([
+            "batteryChargePct",
+            "batteryRuntimeSec",
+            "batteryVoltageV",
+            "loadPct",
+            "inputVoltageV",
+            "inputFrequencyHz",
+            "outputVoltageV",
+            "outputFrequencyHz",
+            "temperatureC",
+            "realPowerW",
+            "realPowerNominalW",
+        ]).properties,
+        beeperEnabled: { type: ["boolean", "null"] },
+        testResult: { type: ["string", "null"] },
+        manufacturer: { type: ["string", "null"] },
+        model: { type: ["string", "null"] },
+    },
+    ["source", "name", "server", "status"],
+);
+
+const ALERT_SCHEMA = objectOf(
+    {
+        name: { type: "string" },
+        rule: { type: "string" },
+        state: { enum: ["ok", "pending", "firing", "resolved"] },
+        value: { type: ["number", "string", "boolean", "null"] },
+        since: { type: ["string", "null"] },
+        matchedTicks: { type: "integer", minimum: 0 },
+    },
+    ["name", "rule", "state", "value", "since", "matchedTicks"],
+);
+
+const HISTORY_BUCKET_SCHEMA = objectOf(
+    {
+        start: { type: "string" },
+        samples: { type: "integer", minimum: 1 },
+        ...Object.fromEntries(
+            HISTORY_SERIES.map(([name]) => [
+                name,
+                {
+                    ...numbersObject(["min", "avg", "max"]),
+                    type: ["object", "null"],
+                },
+            ]),
+        ),
+    },
+    ["start", "samples", ...HISTORY_SERIES.map(([name]) => name)],
+);
+
+const HISTORY_SCHEMA = objectOf(
+    {
+        minutes: { type: "array", items: HISTORY_BUCKET_SCHEMA },
+        hours: { type: "array", items: HISTORY_BUCKET_SCHEMA },
+    },
+    ["minutes", "hours"],
+);
+
+const FLEET_MAX_SCHEMA = {
+    ...objectOf({ host: { type: "string" }, value: { type: "number" } }),
+    type: ["object", "null"],
+};
+
+const AGGREGATE_SCHEMA = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "webtop-gen aggregate",
+    ...objectOf({
+        schemaVersion: { const: SCHEMA_VERSION },
+        generatedAt: { type: "string" },
+        fleet: objectOf({
+            hosts: objectOf(
+                Object.fromEntries(
+                    ["total", "ok", "stale", "unavailable"].map((key) => [
+                        key,
+                        { type: "integer", minimum: 0 },
+                    ]),
+                ),
+            ),
+            maxCpuTempC: FLEET_MAX_SCHEMA,
+            maxCpuUsagePct: FLEET_MAX_SCHEMA,
+            totalDownloadKibps: { type: "number" },
+            totalUploadKibps: { type: "number" },
+            lowestUpsChargePct: {
+                ...objectOf({
+                    host: { type: "string" },
+                    ups: { type: "string" },
+                    value: { type: "number" },
+                }),
+                type: ["object", "null"],
+            },
+        }),
+        hosts: {
+            type: "object",
+            additionalProperties: objectOf({
+                source: { type: "string" },
+                status: { enum: ["ok", "stale", "unavailable"] },
+                sampledAt: { type: ["string", "null"] },
+                ageSec: { type: ["integer", "null"], minimum: 0 },
+                error: { type: ["string", "null"] },
+                // Payloads come from other versions too, so only their
+                // version marker is checked here.
+                payload: {
+                    type: ["object", "null"],
+                    properties: { schemaVersion: { type: "integer" } },
+                },
+            }),
+        },
+    }),
+};
+
+const PAYLOAD_SCHEMA = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "webtop-gen payload",
+    ...objectOf(
+        {
+            schemaVersion: { const: SCHEMA_VERSION },
+            sampledAt: { type: "string" },
+            memory: MEMORY_SCHEMA,
+            disks: {
+                type: "array",
+                items: objectOf(
+                    {
+                        name: { type: "string" },
+                        mountPoint: { type: "string" },
+                        fsType: { type: "string" },
+                        device: { type: "string" },
+                        totalGb: { type: "number", minimum: 0 },
+                        usedGb: { type: "number", minimum: 0 },
+                        freeGb: { type: "number", minimum: 0 },
+                        usagePct: { type: "number", minimum: 0, maximum: 100 },
+                        inodesTotal: { type: "integer", minimum: 0 },
+                        inodesUsed: { type: "integer", minimum: 0 },
+                        inodesUsagePct: {
+                            type: ["number", "null"],
+                            minimum: 0,
+                            maximum: 100,
+                        },
+                        readOnly: { type: "boolean" },
+                        tempC: numberOrNull,
+                    },
+                    [
+                        "name",
+                        "mountPoint",
+                        "fsType",
+                        "device",
+                        "totalGb",
+                        "usedGb",
+                        "freeGb",
+                        "usagePct",
+                        "inodesTotal",
+                        "inodesUsed",
+                        "inodesUsagePct",
+                        "readOnly",
+                    ],
+                ),
+            },
+            diskTempC: numberOrNull,
+            cpuFreq: {
+                type: "array",
+                items: objectOf({
+                    minMhz: numberOrNull,
+                    maxMhz: numberOrNull,
+                    governor: { type: ["string", "null"] },
+                }),
+            },
+            updates: { type: "array", items: UPDATE_SCHEMA },
+            ups: UPS_SCHEMA,
+            upsDevices: { type: "array", items: UPS_SCHEMA },
+            alerts: { type: "array", items: ALERT_SCHEMA },
+            history: HISTORY_SCHEMA,
+            plugins: PLUGINS_SCHEMA,
+        },
+        [
+            "schemaVersion",
+            "sampledAt",
+            "memory",
+            "disks",
+            "diskTempC",
+            "cpuFreq",
+            "updates",
+        ],
+    ),
+};
+
+function describeJsonType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+// Covers the keywords PAYLOAD_SCHEMA uses; it is not a general validator.
+function validateSchema(schema, value, at = "$", errors = []) {
+    if ("const" in schema && value !== schema.const) {
+        errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(
+            `${at}: expected one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}`,
+        );
+        return errors;
+    }
+    if (schema.type) {
+        const actual = describeJsonType(value);
+        const allowed = [schema.type].flat();
+        const matches = allowed.some(
+            (type) =>
+                type === actual || (type === "number" && actual === "integer"),
+        );
+        if (!matches) {
+            errors.push(
+                `${at}: expected ${allowed.join(" or ")}, got ${actual}`,
+            );
+            return errors;
+        }
+    }
+    if (typeof value === "number") {
+        if (!Number.isFinite(value)) {
+            errors.push(`${at}: expected a finite number`);
+        } else if (schema.minimum != null && value < schema.minimum) {
+            errors.push(`${at}: ${value} is below ${schema.minimum}`);
+        } else if (schema.maximum != null && value > schema.maximum) {
+            errors.push(`${at}: ${value} is above ${schema.maximum}`);
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) {
+            errors.push(`${at}: expected at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems != null && value.length > schema.maxItems) {
+            errors.push(`${at}: expected at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) =>
+                validateSchema(schema.items, item, `${at}[${index}]`, errors),
+            );
+        }
+    } else if (value !== null && typeof value === "object") {
+        for (const key of schema.required ?? []) {
+            if (!(key in value)) errors.push(`${at}: missing "${key}"`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = schema.properties?.[key];
+            if (childSchema) {
+                validateSchema(childSchema, child, `${at}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unexpected "${key}"`);
+            } else if (typeof schema.additionalProperties === "object") {
+                validateSchema(
+                    schema.additionalProperties,
+                    child,
+                    `${at}.${key}`,
+                    errors,
+                );
+            }
+        }
+    }
+    return errors;
+}
+
+function assertValidPayload(payload, schema = PAYLOAD_SCHEMA) {
+    const errors = validateSchema(schema, payload);
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 10);
+        const more =
+            errors.length > shown.length
+                ? `\n  ... and ${errors.length - shown.length} more`
+                : "";
+        throw new Error(
+            `Payload does not match schema v${SCHEMA_VERSION}:\n${shown.map((error) => `  - ${error}`).join("\n")}${more}`,
+        );
+    }
+    return payload;
+}
+
+function buildPayload(
+    staticState,
+    updates,
+    { sampledAt, alerts, history } = {},
+) {
+    const { staticSnapshot, upsSnapshots } = staticState;
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        ...(sampledAt ? { sampledAt } : {}),
+        memory: staticSnapshot.memory,
+        disks: staticSnapshot.disks,
+        diskTempC: staticSnapshot.diskTempC,
+        cpuFreq: staticSnapshot.cpuFreq,
+        updates,
+        // `ups` predates multiple targets and stays the first of them.
+        ...(upsSnapshots.length > 0
+            ? { ups: upsSnapshots[0], upsDevices: upsSnapshots }
+            : {}),
+        ...(alerts ? { alerts } : {}),
+        ...(history ? { history } : {}),
+        ...(staticState.plugins ? { plugins: staticState.plugins } : {}),
+    };
+}
+
+async function writeFileAtomic(filePath, content) {
+    // Readers polling the file must never observe a partial write, so the
+    // payload lands in a sibling temp file and is renamed over the target.
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        await writeFile(tempPath, content, "utf8");
+        await rename(tempPath, filePath);
+    } catch (error) {
+        await unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+function resolveCollectorOptions(values = {}) {
+    const errors = [];
+    const options = { ...DEFAULTS };
+    for (const [key, raw] of Object.entries(values)) {
+        if (raw == null) continue;
+        const spec = OPTION_SPECS.find(
+            (candidate) => candidate.name === key || candidate.flag === key,
+        );
+        if (!spec) {
+            errors.push(
+                `unknown option "${key}"${suggestFlag(key, flagToOptionName)}`,
+            );
+            continue;
+        }
+        const result = coerceOptionValue(spec, raw);
+        if ("error" in result) {
+            errors.push(`${spec.name}: ${result.error}`);
+            continue;
+        }
+        options[spec.name] = result.value;
+    }
+    if (errors.length > 0) {
+        throw new Error(
+            `Invalid collector options:\n${errors.map((error) => `  - ${error}`).join("\n")}`,
+        );
+    }
+    if (options.listen) {
+        options.daemon = true;
+    }
+    return options;
+}
+
+async function createCollector(initialOptions = {}) {
+    let options = resolveCollectorOptions(initialOptions);
+    if (process.platform !== "linux" && !options.replay) {
+        throw new Error("webtop-gen requires Linux (/proc and /sys).");
+    }
+
+    let io = await openHostIo(options);
+    if (io.recording) {
+        options = resolveCollectorOptions({
+            ...options,
+            ...io.recording.options,
+        });
+    }
+    let cpuTempReader = await createCpuTempReader(options.cpuTempId, io);
+    let alertEngine = createAlertEngine(options.alertRules.map(parseAlertRule));
+    let history = options.history
+        ? await loadHistoryStore(options.history)
+        : null;
+    let plugins = await loadPlugins(io, options.plugins);
+    let staticState = null;
+    let previous = null;
+    let closed = false;
+    let wake = null;
+    const ticks = [];
+
+    // Sampling, refreshing and reloading all touch the same state, so they
+    // run one after another even when callers overlap them.
+    let queue = Promise.resolve();
+    const serialize = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const start = () =>
+        serialize(async () => {
+            if (!staticState) {
+                staticState = await readStaticState(io, options, plugins);
+            }
+            if (!previous) {
+                previous = await readDynamicSnapshot(
+                    io,
+                    options,
+                    cpuTempReader,
+                );
+                previous.plugins = await readPluginTicks(
+                    io,
+                    options,
+                    plugins,
+                    previous,
+                    null,
+                );
+            }
+        });
+
+    const sample = async () => {
+        await start();
+        return serialize(async () => {
+            const current = await readDynamicSnapshot(
+                io,
+                options,
+                cpuTempReader,
+                previous.iface || options.iface,
+            );
+            current.plugins = await readPluginTicks(
+                io,
+                options,
+                plugins,
+                current,
+                previous,
+            );
+            const update = buildUpdate(previous, current, options, staticState);
+            previous = current;
+            ticks.push(update);
+            if (ticks.length > options.updates) ticks.shift();
+            evaluateAlerts(update, current.timestampMs);
+            if (history?.add(update, staticState, current.timestampMs)) {
+                await saveHistory();
+            }
+            return update;
+        });
+    };
+
+    // Fields of the latest tick shadow the static ones, so "cpu.tempC" and
+    // "disks[root].usagePct" both resolve against the freshest data.
+    const evaluateAlerts = (update, timestampMs) => {
+        if (options.alertRules.length === 0) return;
+        const scope = { ...buildPayload(staticState, []), ...update };
+        const transitions = alertEngine.evaluate(scope, timestampMs);
+        // Replays re-run history, so they must not page anyone again.
+        if (io.recording) return;
+        for (const transition of transitions) {
+            runAlertHooks(transition, options);
+        }
+    };
+
+    // A failed save should not cost the tick; the next minute retries.
+    const saveHistory = () =>
+        history?.save().catch((error) => {
+            console.error(
+                `Saving history to ${history.path} failed: ${error.message}`,
+            );
+        });
+
+    const alertStates = () =>
+        options.alertRules.length > 0 ? alertEngine.states() : null;
+
+    const pause = (ms) =>
+        new Promise((resolve) => {
+            const timer = setTimeout(done, ms);
+            function done() {
+                clearTimeout(timer);
+                wake = null;
+                resolve();
+            }
+            wake = done;
+        });
+
+    async function* iterate() {
+        await start();
+        while (!closed) {
+            // Replayed ticks carry their own timestamps, so there is nothing
+            // to wait for.
+            await pause(io.recording ? 0 : options.intervalMs);
+            if (closed) return;
+            yield await sample();
+        }
+    }
+
+    return {
+        get options() {
+            return { ...options };
+        },
+        get cpuTempReader() {
+            return cpuTempReader;
+        },
+        get staticState() {
+            return staticState;
+        },
+        get lastSample() {
+            return previous;
+        },
+        get recording() {
+            return io.recording ?? null;
+        },
+        start,
+        sample,
+        async snapshot() {
+            await start();
+            return assertValidPayload(
+                buildPayload(staticState, [...ticks], {
+                    sampledAt: new Date(previous.timestampMs).toISOString(),
+                    alerts: alertStates(),
+                    history: history?.slice(
+                        options.historyMinutes,
+                        options.historyHours,
+                    ),
+                }),
+            );
+        },
+        async metrics() {
+            await start();
+            return collectMetricFamilies(
+                staticState,
+                ticks,
+                previous,
+                alertStates(),
+            );
+        },
+        refreshStatic: () =>
+            serialize(async () => {
+                staticState = await readStaticState(io, options, plugins);
+                return staticState;
+            }),
+        reload: (nextOptions) =>
+            serialize(async () => {
+                if (options.record || options.replay) {
+                    throw new Error(
+                        "Reloading is not supported while recording or replaying.",
+                    );
+                }
+                // Everything is built before anything is replaced, so a
+                // reload that throws leaves the collector as it was.
+                const next = resolveCollectorOptions(nextOptions);
+                const nextAlertEngine = createAlertEngine(
+                    next.alertRules.map(parseAlertRule),
+                    alertEngine.states(),
+                );
+                const historyMoved =
+                    history?.path !== resolveHistoryPath(next.history);
+                const nextHistory = !historyMoved
+                    ? history
+                    : next.history
+                      ? await loadHistoryStore(next.history)
+                      : null;
+                const nextIo = await openHostIo(next);
+                const nextPlugins = await loadPlugins(nextIo, next.plugins);
+                const nextCpuTempReader = await createCpuTempReader(
+                    next.cpuTempId,
+                    nextIo,
+                );
+                const nextStaticState = await readStaticState(
+                    nextIo,
+                    next,
+                    nextPlugins,
+                );
+                const nextPrevious = await readDynamicSnapshot(
+                    nextIo,
+                    next,
+                    nextCpuTempReader,
+                );
+                nextPrevious.plugins = await readPluginTicks(
+                    nextIo,
+                    next,
+                    nextPlugins,
+                    nextPrevious,
+                    null,
+                );
+
+                if (historyMoved) await saveHistory();
+                options = next;
+                alertEngine = nextAlertEngine;
+                history = nextHistory;
+                io = nextIo;
+                plugins = nextPlugins;
+                cpuTempReader = nextCpuTempReader;
+                staticState = nextStaticState;
+                previous = nextPrevious;
+                ticks.splice(0, Math.max(0, ticks.length - options.updates));
+            }),
+        flushHistory: () => serialize(async () => saveHistory()),
+        ticks: iterate,
+        [Symbol.asyncIterator]: iterate,
+        close() {
+            closed = true;
+            wake?.();
+            io.close?.();
+        },
+    };
+}
+
+async function collectUpdates(collector, count, onTick) {
+    const updates = [];
+    if (count <= 0) return updates;
+    for await (const update of collector) {
+        updates.push(update);
+        await onTick?.(update, updates.length);
+        if (updates.length >= count) break;
+    }
+    return updates;
+}
+
+function metricFamily(name, type, help) {
+    return { name, type, help, samples: [] };
+}
+
+function addMetricSample(family, labels, value) {
+    if (value == null || !Number.isFinite(value)) return;
+    family.samples.push({ labels, value });
+}
+
+function collectMetricFamilies(staticState, updates, sample, alerts = null) {
+    const { staticSnapshot, upsSnapshots } = staticState;
+    const latest = updates[updates.length - 1];
+    const families = [];
+    const add = (name, type, help) => {
+        const family = metricFamily(name, type, help);
+        families.push(family);
+        return family;
+    };
+
+    if (latest) {
+        const usage = add(
+            "webtop_cpu_usage_percent",
+            "gauge",
+            "CPU utilisation over the last tick, per thread and in total.",
+        );
+        addMetricSample(usage, { cpu: "total" }, latest.cpu.totalUsagePct);
+        latest.cpu.perThreadPct.forEach((pct, index) =>
+            addMetricSample(usage, { cpu: `cpu${index}` }, pct),
+        );
+    }
+
+    if (sample) {
+        const cpuSeconds = add(
+            "webtop_cpu_seconds_total",
+            "counter",
+            "Total CPU time from /proc/stat, per thread and in total.",
+        );
+        const cpuIdleSeconds = add(
+            "webtop_cpu_idle_seconds_total",
+            "counter",
+            "Idle CPU time (idle + iowait) from /proc/stat.",
+        );
+        const cpuModeSeconds = add(
+            "webtop_cpu_mode_seconds_total",
+            "counter",
+            "CPU time per mode from /proc/stat (guest is included in user).",
+        );
+        for (const [key, stats] of sample.cpuStats) {
+            const cpu = key === "cpu" ? "total" : key;
+            addMetricSample(cpuSeconds, { cpu }, stats.total / USER_HZ);
+            addMetricSample(cpuIdleSeconds, { cpu }, stats.idle / USER_HZ);
+            for (const [mode, jiffies] of Object.entries(stats.modes)) {
+                addMetricSample(
+                    cpuModeSeconds,
+                    { cpu, mode },
+                    jiffies / USER_HZ,
+                );
+            }
+        }
+
+        const freq = add(
+            "webtop_cpu_frequency_hertz",
+            "gauge",
+            "Current clock per thread (scaling_cur_freq or /proc/cpuinfo).",
+        );
+        for (const [cpu, mhz] of sample.cpuMhz) {
+            if (mhz != null) addMetricSample(freq, { cpu }, mhz * 1e6);
+        }
+
+        const load = add(
+            "webtop_load_average",
+            "gauge",
+            "System load average from /proc/loadavg.",
+        );
+        ["1m", "5m", "15m"].forEach((period, index) =>
+            addMetricSample(load, { period }, sample.loadAvg[index]),
+        );
+
+        const cpuTemp = add(
+            "webtop_cpu_temperature_celsius",
+            "gauge",
+            "Selected CPU temperature, labelled with the sensor it came from.",
+        );
+        if (sample.tempC !== 0) {
+            addMetricSample(
+                cpuTemp,
+                { source: sample.tempSource },
+                sample.tempC,
+            );
+        }
+
+        if (latest?.temps) {
+            const probeTemp = add(
+                "webtop_sensor_temperature_celsius",
+                "gauge",
+                "Every temperature probe read in the last tick.",
+            );
+            for (const probe of latest.temps.probes) {
+                addMetricSample(
+                    probeTemp,
+                    { sensor: probe.id, source: probe.source },
+                    probe.celsius,
+                );
+            }
+        }
+
+        const netCounters = [
+            ["receive_bytes", "rxBytes", "Bytes received"],
+            ["transmit_bytes", "txBytes", "Bytes transmitted"],
+            ["receive_packets", "rxPackets", "Packets received"],
+            ["transmit_packets", "txPackets", "Packets transmitted"],
+            ["receive_errors", "rxErrors", "Receive errors"],
+            ["transmit_errors", "txErrors", "Transmit errors"],
+            ["receive_drops", "rxDrops", "Dropped inbound packets"],
+            ["transmit_drops", "txDrops", "Dropped outbound packets"],
+        ];
+        const netIfaces = sample.ifaces ?? [sample.iface];
+        for (const [suffix, field, help] of netCounters) {
+            const family = add(
+                `webtop_network_${suffix}_total`,
+                "counter",
+                `${help} per reported interface.`,
+            );
+            for (const iface of netIfaces) {
+                addMetricSample(
+                    family,
+                    { iface },
+                    sample.netMap.get(iface)?.[field],
+                );
+            }
+        }
+
+        const diskReadBytes = add(
+            "webtop_disk_io_read_bytes_total",
+            "counter",
+            "Bytes read per block device from /proc/diskstats.",
+        );
+        const diskWriteBytes = add(
+            "webtop_disk_io_written_bytes_total",
+            "counter",
+            "Bytes written per block device from /proc/diskstats.",
+        );
+        const diskIoTime = add(
+            "webtop_disk_io_time_seconds_total",
+            "counter",
+            "Time spent doing I/O per block device.",
+        );
+        for (const [device, stats] of sample.diskStats) {
+            if (stats.reads + stats.writes === 0) continue;
+            addMetricSample(diskReadBytes, { device }, stats.readBytes);
+            addMetricSample(diskWriteBytes, { device }, stats.writeBytes);
+            addMetricSample(diskIoTime, { device }, stats.ioTicksMs / 1000);
+        }
+
+        if (latest) {
+            const download = add(
+                "webtop_network_download_kibps",
+                "gauge",
+                "Download rate over the last tick in KiB/s.",
+            );
+            addMetricSample(
+                download,
+                { iface: sample.iface },
+                latest.network.downloadKibps,
+            );
+            const upload = add(
+                "webtop_network_upload_kibps",
+                "gauge",
+                "Upload rate over the last tick in KiB/s.",
+            );
+            addMetricSample(
+                upload,
+                { iface: sample.iface },
+                latest.network.uploadKibps,
+            );
+        }
+    }
+
+    const meminfo = sample?.meminfoKb ?? staticSnapshot.meminfoKb;
+    const memoryFields = [
+        ["webtop_memory_total_bytes", "MemTotal", "Total usable memory."],
+        [
+            "webtop_memory_available_bytes",
+            "MemAvailable",
+            "Memory available for new workloads without swapping.",
+        ],
+        ["webtop_memory_shmem_bytes", "Shmem", "Shared memory (incl. tmpfs)."],
+        ["webtop_memory_dirty_bytes", "Dirty", "Memory waiting for writeback."],
+        [
+            "webtop_memory_writeback_bytes",
+            "Writeback",
+            "Memory actively being written back.",
+        ],
+        ["webtop_swap_total_bytes", "SwapTotal", "Total swap space."],
+        ["webtop_swap_free_bytes", "SwapFree", "Unused swap space."],
+        ["webtop_zswap_pool_bytes", "Zswap", "Compressed zswap pool size."],
+        [
+            "webtop_zswap_stored_bytes",
+            "Zswapped",
+            "Uncompressed size of pages held in zswap.",
+        ],
+    ];
+    for (const [name, field, help] of memoryFields) {
+        const family = add(name, "gauge", help);
+        if (meminfo.has(field)) {
+            addMetricSample(family, {}, meminfo.get(field) * 1024);
+        }
+    }
+    const usedKb = Math.max(
+        0,
+        (meminfo.get("MemTotal") ?? 0) - (meminfo.get("MemAvailable") ?? 0),
+    );
+    addMetricSample(
+        add(
+            "webtop_memory_used_bytes",
+            "gauge",
+            "Memory in use (total minus available).",
+        ),
+        {},
+        usedKb * 1024,
+    );
+    addMetricSample(
+        add(
+            "webtop_memory_cached_bytes",
+            "gauge",
+            "Page cache plus reclaimable slab memory.",
+        ),
+        {},
+        ((meminfo.get("Cached") ?? 0) + (meminfo.get("SReclaimable") ?? 0)) *
+            1024,
+    );
+
+    if (sample?.pressure) {
+        const stall = add(
+            "webtop_pressure_stall_seconds_total",
+            "counter",
+            "Pressure stall time from /proc/pressure, per resource and kind.",
+        );
+        const avg10 = add(
+            "webtop_pressure_avg10_ratio",
+            "gauge",
+            "Share of the last 10s some/all tasks stalled on a resource.",
+        );
+        for (const [resource, value] of sample.pressure) {
+            for (const kind of ["some", "full"]) {
+                const line = value?.[kind];
+                if (!line) continue;
+                addMetricSample(stall, { resource, kind }, line.totalUs / 1e6);
+                addMetricSample(
+                    avg10,
+                    { resource, kind },
+                    Number((line.avg10 / 100).toFixed(4)),
+                );
+            }
+        }
+    }
+
+    const diskSize = add(
+        "webtop_disk_size_bytes",
+        "gauge",
+        "Filesystem size per mount.",
+    );
+    const diskUsed = add(
+        "webtop_disk_used_bytes",
+        "gauge",
+        "Filesystem space used per mount.",
+    );
+    const diskFree = add(
+        "webtop_disk_free_bytes",
+        "gauge",
+        "Filesystem space available to unprivileged users per mount.",
+    );
+    const diskUsage = add(
+        "webtop_disk_usage_percent",
+        "gauge",
+        "Filesystem usage per mount.",
+    );
+    const diskInodes = add(
+        "webtop_disk_inodes",
+        "gauge",
+        "Filesystem inode count per mount.",
+    );
+    const diskInodesUsed = add(
+        "webtop_disk_inodes_used",
+        "gauge",
+        "Filesystem inodes in use per mount.",
+    );
+    const diskReadOnly = add(
+        "webtop_disk_read_only",
+        "gauge",
+        "Whether the mount is read-only (1) or not (0).",
+    );
+    for (const row of staticSnapshot.disks) {
+        const labels = {
+            disk: row.name,
+            mountpoint: row.mountPoint,
+            fstype: row.fsType,
+        };
+        const bytes = staticSnapshot.diskUsage.get(row.name);
+        addMetricSample(diskSize, labels, bytes?.totalBytes);
+        addMetricSample(diskUsed, labels, bytes?.usedBytes);
+        addMetricSample(diskFree, labels, bytes?.freeBytes);
+        addMetricSample(diskUsage, labels, row.usagePct);
+        addMetricSample(diskInodes, labels, bytes?.inodesTotal);
+        addMetricSample(diskInodesUsed, labels, bytes?.inodesUsed);
+        addMetricSample(diskReadOnly, labels, row.readOnly ? 1 : 0);
+    }
+
+    const diskTemp = add(
+        "webtop_disk_temperature_celsius",
+        "gauge",
+        "Selected disk temperature, labelled with the sensor it came from.",
+    );
+    addMetricSample(
+        diskTemp,
+        { source: staticSnapshot.diskTempSource },
+        staticSnapshot.diskTempC,
+    );
+
+    if (upsSnapshots.length > 0) {
+        const up = add(
+            "webtop_ups_up",
+            "gauge",
+            "Whether the UPS could be queried (1) or not (0).",
+        );
+        const status = add(
+            "webtop_ups_status",
+            "gauge",
+            "UPS status flags reported by NUT, one series per flag.",
+        );
+        const upsFields = [
+            [
+                "webtop_ups_battery_charge_percent",
+                "batteryChargePct",
+                "Battery charge.",
+            ],
+            [
+                "webtop_ups_battery_runtime_seconds",
+                "batteryRuntimeSec",
+                "Estimated battery runtime.",
+            ],
+            [
+                "webtop_ups_battery_voltage_volts",
+                "batteryVoltageV",
+                "Battery voltage.",
+            ],
+            ["webtop_ups_load_percent", "loadPct", "UPS load."],
+            [
+                "webtop_ups_input_voltage_volts",
+                "inputVoltageV",
+                "UPS input voltage.",
+            ],
+            [
+                "webtop_ups_input_frequency_hertz",
+                "inputFrequencyHz",
+                "UPS input frequency.",
+            ],
+            [
+                "webtop_ups_output_voltage_volts",
+                "outputVoltageV",
+                "UPS output voltage.",
+            ],
+            [
+                "webtop_ups_temperature_celsius",
+                "temperatureC",
+                "UPS or battery temperature.",
+            ],
+            [
+                "webtop_ups_real_power_watts",
+                "realPowerW",
+                "Real power drawn from the UPS.",
+            ],
+        ].map(([name, field, help]) => [add(name, "gauge", help), field]);
+
+        for (const ups of upsSnapshots) {
+            const labels = { ups: ups.name, server: ups.server };
+            const available = ups.status !== "unavailable";
+            addMetricSample(up, labels, available ? 1 : 0);
+            if (!available) continue;
+            for (const flag of ups.status.split(/\s+/)) {
+                if (flag) addMetricSample(status, { ...labels, flag }, 1);
+            }
+            for (const [family, field] of upsFields) {
+                addMetricSample(family, labels, ups[field]);
+            }
+        }
+    }
+
+    if (alerts) {
+        const firing = add(
+            "webtop_alert_firing",
+            "gauge",
+            "Whether each configured alert rule is firing (1) or not (0).",
+        );
+        for (const alert of alerts) {
+            addMetricSample(
+                firing,
+                { alert: alert.name },
+                alert.state === "firing" ? 1 : 0,
+            );
+        }
+    }
+
+    return families.filter((family) => family.samples.length > 0);
+}
+
+function escapePrometheusLabel(value) {
+    return String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n");
+}
+
+function renderPrometheus(families) {
+    const lines = [];
+    for (const family of families) {
+        lines.push(`# HELP ${family.name} ${family.help}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+        for (const { labels, value } of family.samples) {
+            const labelText = Object.entries(labels)
+                .map(
+                    ([key, label]) =>
+                        `${key}="${escapePrometheusLabel(label)}"`,
+                )
+                .join(",");
+            lines.push(
+                `${family.name}${labelText ? `{${labelText}}` : ""} ${value}`,
+            );
+        }
+    }
+    return `${lines.join("\n")}\n`;
+}
+
+const COMPACT_MAX_DECIMALS = 4;
+
+// Null when the value needs more than COMPACT_MAX_DECIMALS places, such as a
+// plugin's raw ratio; its column is then stored unscaled.
+function countDecimals(value) {
+    if (Number.isInteger(value)) return 0;
+    const text = String(value);
+    if (text.includes("e")) return null;
+    const places = text.length - text.indexOf(".") - 1;
+    return places > COMPACT_MAX_DECIMALS ? null : places;
+}
+
+function scaleExactly(value, places) {
+    const scaled = Math.round(value * 10 ** places);
+    return scaled / 10 ** places === value;
+}
+
+// Empty arrays and objects are leaves too, so they survive the round trip.
+function collectLeaves(value, fieldPath, leaves) {
+    if (value !== null && typeof value === "object") {
+        const entries = Array.isArray(value)
+            ? value.map((child, index) => [index, child])
+            : Object.entries(value);
+        if (entries.length === 0) {
+            leaves.push([fieldPath, Array.isArray(value) ? [] : {}]);
+        }
+        for (const [key, child] of entries) {
+            collectLeaves(child, [...fieldPath, key], leaves);
+        }
+        return leaves;
+    }
+    leaves.push([fieldPath, value]);
+    return leaves;
+}
+
+// Turns updates[] into one column per leaf field. Field paths are arrays
+// whose numbers are array indices; numeric columns are stored as integers
+// scaled by 10^decimals. `absent` lists, per field index, the ticks that did
+// not have the field at all (a disk that appeared mid-window), which is
+// different from a null value. Columns that would not scale back exactly keep
+// their numbers as they are.
+function encodeCompactPayload(payload) {
+    const { updates, ...rest } = payload;
+    const fieldIndex = new Map();
+    const fields = [];
+    const values = [];
+    updates.forEach((update, tick) => {
+        for (const [fieldPath, value] of collectLeaves(update, [], [])) {
+            const key = JSON.stringify(fieldPath);
+            if (!fieldIndex.has(key)) {
+                fieldIndex.set(key, fields.length);
+                fields.push(fieldPath);
+                values.push(new Array(updates.length).fill(undefined));
+            }
+            values[fieldIndex.get(key)][tick] = value;
+        }
+    });
+
+    const decimals = [];
+    const columns = [];
+    const absent = {};
+    values.forEach((column, index) => {
+        const missing = [];
+        column.forEach((value, tick) => {
+            if (value === undefined) missing.push(tick);
+        });
+        if (missing.length > 0) absent[index] = missing;
+        const present = column.filter(
+            (value) => value !== undefined && value !== null,
+        );
+        const numeric =
+            present.length > 0 &&
+            present.every((value) => typeof value === "number");
+        const counted = numeric ? present.map(countDecimals) : [null];
+        let places = counted.includes(null) ? null : Math.max(...counted);
+        if (
+            places !== null &&
+            !present.every((value) => scaleExactly(value, places))
+        ) {
+            places = null;
+        }
+        decimals.push(places);
+        columns.push(
+            column.map((value) => {
+                if (value === undefined) return null;
+                if (places === null || value === null) return value;
+                return Math.round(value * 10 ** places);
+            }),
+        );
+    });
+
+    return {
+        schemaVersion: rest.schemaVersion,
+        encoding: "compact",
+        ...rest,
+        updates: { ticks: updates.length, fields, decimals, columns, absent },
+    };
+}
+
+function decodeCompactPayload(compact) {
+    const { encoding, updates: encoded, ...rest } = compact;
+    if (encoding !== "compact") return compact;
+    const updates = Array.from({ length: encoded.ticks }, () => ({}));
+    encoded.fields.forEach((fieldPath, index) => {
+        const skipped = new Set(encoded.absent[index] ?? []);
+        const places = encoded.decimals[index];
+        encoded.columns[index].forEach((stored, tick) => {
+            if (skipped.has(tick)) return;
+            const value =
+                places === null || stored === null
+                    ? stored
+                    : stored / 10 ** places;
+            let target = updates[tick];
+            fieldPath.forEach((key, depth) => {
+                if (depth === fieldPath.length - 1) {
+                    target[key] =
+                        value !== null && typeof value === "object"
+                            ? (target[key] ?? value)
+                            : value;
+                    return;
+                }
+                target[key] ??=
+                    typeof fieldPath[depth + 1] === "number" ? [] : {};
+                target = target[key];
+            });
+        });
+    });
+    return { ...rest, updates };
+}
+
+function parseRedactRule(value) {
+    const [field, action] = value.split(":");
+    const spec = REDACTION_FIELDS[field];
+    if (!spec) {
+        throw new Error(
+            `unknown redaction field "${field}" (expected ${Object.keys(REDACTION_FIELDS).join(", ")})`,
+        );
+    }
+    if (!spec.actions.includes(action)) {
+        throw new Error(
+            `redaction ${field} takes ${spec.actions.join(", ")}, got "${action ?? ""}"`,
+        );
+    }
+    return { field, action };
+}
+
+function roundSignificant(value, digits = 2) {
+    if (!Number.isFinite(value) || value === 0) return value;
+    const exponent = Math.ceil(Math.log10(Math.abs(value))) - digits;
+    if (exponent >= 0) {
+        const step = 10 ** exponent;
+        return Math.round(value / step) * step;
+    }
+    const scale = 10 ** -exponent;
+    return Math.round(value * scale) / scale;
+}
+
+function bucketPowerOfTwo(value) {
+    if (!Number.isFinite(value) || value <= 0) return value;
+    return 2 ** Math.ceil(Math.log2(value));
+}
+
+const PAYLOAD_SECTION_KEYS = {
+    memory: "memory",
+    disks: "disks",
+    diskTempC: "disks",
+    cpuFreq: "cpuFreq",
+    ups: "ups",
+    upsDevices: "ups",
+    alerts: "alerts",
+    history: "history",
+    plugins: "plugins",
+};
+
+function withoutProperties(schema, keys) {
+    return {
+        ...schema,
+        properties: Object.fromEntries(
+            Object.entries(schema.properties).filter(
+                ([key]) => !keys.includes(key),
+            ),
+        ),
+        required: schema.required.filter((key) => !keys.includes(key)),
+    };
+}
+
+// Returns null when nothing is redacted. Without --public, --redact rules
+// still apply on their own and every section is emitted.
+function createRedactor(options) {
+    if (!options.public && options.redact.length === 0) return null;
+    const actions = Object.fromEntries(
+        Object.entries(REDACTION_FIELDS).map(([field, spec]) => [
+            field,
+            options.public ? spec.public : "keep",
+        ]),
+    );
+    for (const rule of options.redact) {
+        const { field, action } = parseRedactRule(rule);
+        actions[field] = action;
+    }
+    const allowed = new Set(
+        options.public ? options.publicSections : PUBLIC_SECTIONS,
+    );
+    const blocked = PUBLIC_SECTIONS.filter((section) => !allowed.has(section));
+
+    // Index aliases are numbered in first-seen order for the whole run, so
+    // the SSE ticks agree with the payload.
+    const indexes = new Map();
+    const alias = (field, prefix, value) => {
+        if (typeof value !== "string" || !value) return value;
+        if (actions[field] === "hash") {
+            const digest = createHash("sha256")
+                .update(`${options.redactSalt}\0${value}`)
+                .digest("hex");
+            return `${prefix}-${digest.slice(0, 8)}`;
+        }
+        if (actions[field] === "index") {
+            const key = `${field}:${prefix}`;
+            if (!indexes.has(key)) indexes.set(key, new Map());
+            const seen = indexes.get(key);
+            if (!seen.has(value)) seen.set(value, seen.size + 1);
+            return `${prefix}${seen.get(value)}`;
+        }
+        return value;
+    };
+    const rate = (value) =>
+        actions.network === "coarse" ? roundSignificant(value) : value;
+    const size = (value, coarsen = roundSignificant) =>
+        actions["disk-size"] === "coarse" ? coarsen(value) : value;
+
+    const redactDisk = (row) => ({
+        ...row,
+        name: alias("mounts", "disk", row.name),
+        mountPoint: alias("mounts", "disk", row.name),
+        // diskIo names devices without /dev/, so both get the same alias.
+        device: alias("mounts", "dev", row.device?.replace(/^\/dev\//, "")),
+        totalGb: size(row.totalGb, bucketPowerOfTwo),
+        usedGb: size(row.usedGb),
+        freeGb: size(row.freeGb),
+        inodesTotal: size(row.inodesTotal),
+        inodesUsed: size(row.inodesUsed),
+    });
+    const redactUps = (ups) => ({
+        ...ups,
+        name: alias("ups", "ups", ups.name),
+        server: alias("ups", "server", ups.server),
+        ...(actions.ups !== "keep" && "model" in ups
+            ? { manufacturer: null, model: null }
+            : {}),
+        // Connection errors spell out the NUT host and port.
+        ...(actions.ups !== "keep" && "error" in ups
+            ? { error: "unavailable" }
+            : {}),
+    });
+    // Rules name disks, interfaces and sensors by their real names, and a
+    // rule on a string field reports that string as its value.
+    const redactAlert = (alert) => ({
+        ...alert,
+        name: alias("alerts", "alert", alert.name),
+        rule: alias("alerts", "rule", alert.rule),
+        value:
+            typeof alert.value === "string"
+                ? alias("alerts", "value", alert.value)
+                : alert.value,
+    });
+    const redactHistoryBucket = (bucket) => {
+        const coarse = (series) =>
+            series && {
+                min: rate(series.min),
+                avg: rate(series.avg),
+                max: rate(series.max),
+            };
+        return {
+            ...bucket,
+            downloadKibps: coarse(bucket.downloadKibps),
+            uploadKibps: coarse(bucket.uploadKibps),
+        };
+    };
+
+    const redactUpdate = (update) => {
+        const out = {};
+        for (const [key, value] of Object.entries(update)) {
+            if (!allowed.has(key)) continue;
+            out[key] = value;
+        }
+        if (out.network) {
+            out.network = {
+                ...out.network,
+                downloadKibps: rate(out.network.downloadKibps),
+                uploadKibps: rate(out.network.uploadKibps),
+            };
+        }
+        if (out.interfaces) {
+            out.interfaces = out.interfaces.map((entry) => ({
+                ...entry,
+                name: alias("interfaces", "if", entry.name),
+                downloadKibps: rate(entry.downloadKibps),
+                uploadKibps: rate(entry.uploadKibps),
+                rxPacketsPerSec: rate(entry.rxPacketsPerSec),
+                txPacketsPerSec: rate(entry.txPacketsPerSec),
+            }));
+        }
+        if (out.diskIo) {
+            out.diskIo = out.diskIo.map((entry) => ({
+                ...entry,
+                device: alias("mounts", "dev", entry.device),
+                disk: alias("mounts", "disk", entry.disk),
+            }));
+        }
+        if (out.temps) {
+            out.temps = {
+                probes: out.temps.probes.map((probe) => ({
+                    ...probe,
+                    id: alias("sensors", "sensor", probe.id),
+                    chip: alias("sensors", "chip", probe.chip),
+                    label: alias("sensors", "label", probe.label),
+                })),
+                cores: out.temps.cores.map((core) => ({
+                    ...core,
+                    chip: alias("sensors", "chip", core.chip),
+                })),
+            };
+        }
+        if (out.processes && actions.cmdline === "drop") {
+            const strip = ({ cmdline, ...rest }) => rest;
+            out.processes = {
+                byCpu: out.processes.byCpu.map(strip),
+                byRss: out.processes.byRss.map(strip),
+            };
+        }
+        return out;
+    };
+
+    const updateSchema = withoutProperties(UPDATE_SCHEMA, blocked);
+    const payloadSchema = withoutProperties(
+        {
+            ...PAYLOAD_SCHEMA,
+            properties: {
+                ...PAYLOAD_SCHEMA.properties,
+                updates: { type: "array", items: updateSchema },
+            },
+        },
+        Object.keys(PAYLOAD_SECTION_KEYS).filter(
+            (key) => !allowed.has(PAYLOAD_SECTION_KEYS[key]),
+        ),
+    );
+
+    return {
+        metricsAllowed: allowed.has("metrics"),
+        update: redactUpdate,
+        payload(payload) {
+            const out = {};
+            for (const [key, value] of Object.entries(payload)) {
+                const section = PAYLOAD_SECTION_KEYS[key];
+                if (section && !allowed.has(section)) continue;
+                out[key] = value;
+            }
+            if (out.disks) out.disks = out.disks.map(redactDisk);
+            if (out.ups) out.ups = redactUps(out.ups);
+            if (out.upsDevices) out.upsDevices = out.upsDevices.map(redactUps);
+            if (out.alerts) out.alerts = out.alerts.map(redactAlert);
+            if (out.history) {
+                out.history = {
+                    minutes: out.history.minutes.map(redactHistoryBucket),
+                    hours: out.history.hours.map(redactHistoryBucket),
+                };
+            }
+            out.updates = payload.updates.map(redactUpdate);
+            return assertValidPayload(out, payloadSchema);
+        },
+    };
+}
+
+function renderPayload(options, payload) {
+    if (options.encoding === "compact") {
+        return `${JSON.stringify(encodeCompactPayload(payload))}\n`;
+    }
+    return `${JSON.stringify(payload, null, 4)}\n`;
+}
+
+async function renderOutput(options, collector, redactor = null) {
+    if (options.format === "prometheus") {
+        return renderPrometheus(await collector.metrics());
+    }
+    const payload = await collector.snapshot();
+    return renderPayload(
+        options,
+        redactor ? redactor.payload(payload) : payload,
+    );
+}
+
+// Compressed siblings let a static file server answer with
+// Content-Encoding without compressing on every request.
+async function writeOutput(outPath, content, compress = []) {
+    await mkdir(path.dirname(outPath), { recursive: true });
+    await writeFileAtomic(outPath, content);
+    const data = Buffer.from(content, "utf8");
+    await Promise.all(
+        compress.map(async (name) => {
+            const { extension, compress: run } = COMPRESSORS[name];
+            await writeFileAtomic(`${outPath}${extension}`, await run(data));
+        }),
+    );
+}
+
+const SINK_TIMEOUT_MS = 5000;
+const SINK_DEFAULT_PORTS = { graphite: 2003, statsd: 8125 };
+// Keeps StatsD datagrams under a typical Ethernet MTU.
+const STATSD_MAX_PACKET = 1432;
+
+function parseSinkTarget(value) {
+    const separator = value.indexOf(":");
+    const kind = separator === -1 ? value : value.slice(0, separator);
+    const target = separator === -1 ? "" : value.slice(separator + 1);
+    if (kind === "influx") {
+        if (!target) {
+            throw new Error(`influx sink needs a file or URL, got "${value}"`);
+        }
+        if (/^https?:\/\//.test(target)) {
+            return { kind, url: parseWebhookUrl(target).href };
+        }
+        return { kind, file: path.resolve(process.cwd(), target) };
+    }
+    if (kind === "graphite" || kind === "statsd") {
+        const match = /^(?:\[([^\]]+)\]|([^:]+))(?::(\d+))?$/.exec(target);
+        const port = match?.[3] ? Number(match[3]) : SINK_DEFAULT_PORTS[kind];
+        if (!match || port < 1 || port > 65535) {
+            throw new Error(
+                `${kind} sink needs host[:port], got "${target || value}"`,
+            );
+        }
+        return { kind, host: match[1] ?? match[2], port };
+    }
+    throw new Error(
+        `unknown sink "${value}" (expected influx:, graphite: or statsd:)`,
+    );
+}
+
+function escapeInfluxKey(value) {
+    return String(value).replace(/[,= ]/g, "\\$&");
+}
+
+function renderInfluxLines(families, timestampMs, host) {
+    const lines = [];
+    for (const family of families) {
+        for (const { labels, value } of family.samples) {
+            const tags = Object.entries({ host, ...labels })
+                .filter(([, tag]) => tag !== "")
+                .map(([key, tag]) => `,${key}=${escapeInfluxKey(tag)}`)
+                .join("");
+            lines.push(
+                `${escapeInfluxKey(family.name)}${tags} value=${value} ${timestampMs}000000`,
+            );
+        }
+    }
+    return lines;
+}
+
+function graphiteSegment(value) {
+    return String(value).replace(/[^\w-]+/g, "_") || "_";
+}
+
+// webtop_cpu_usage_percent{cpu="total"} on host "nas" becomes
+// webtop.nas.cpu_usage_percent.cpu.total, for both Graphite and StatsD.
+function graphiteMetricPath(familyName, labels, host) {
+    return [
+        "webtop",
+        graphiteSegment(host),
+        graphiteSegment(familyName.replace(/^webtop_/, "")),
+        ...Object.entries(labels).flatMap(([key, label]) => [
+            graphiteSegment(key),
+            graphiteSegment(label),
+        ]),
+    ].join(".");
+}
+
+function renderGraphiteLines(families, timestampMs, host) {
+    const seconds = Math.floor(timestampMs / 1000);
+    return families.flatMap((family) =>
+        family.samples.map(
+            ({ labels, value }) =>
+                `${graphiteMetricPath(family.name, labels, host)} ${value} ${seconds}`,
+        ),
+    );
+}
+
+function renderStatsdLines(families, host) {
+    const lines = [];
+    for (const family of families) {
+        for (const { labels, value } of family.samples) {
+            const name = graphiteMetricPath(family.name, labels, host);
+            // A signed gauge is read as a change, so negative values are
+            // set by zeroing first.
+            if (value < 0) lines.push(`${name}:0|g`);
+            lines.push(`${name}:${value}|g`);
+        }
+    }
+    return lines;
+}
+
+function packStatsdLines(lines) {
+    const packets = [];
+    let packet = "";
+    for (const line of lines) {
+        if (packet && packet.length + 1 + line.length > STATSD_MAX_PACKET) {
+            packets.push(packet);
+            packet = "";
+        }
+        packet = packet ? `${packet}\n${line}` : line;
+    }
+    if (packet) packets.push(packet);
+    return packets;
+}
+
+function sendGraphite(host, port, payload) {
+    return new Promise((resolve, reject) => {
+        const socket = connect({ host, port });
+        socket.setTimeout(SINK_TIMEOUT_MS, () =>
+            socket.destroy(new Error(`timed out after ${SINK_TIMEOUT_MS}ms`)),
+        );
+        socket.once("error", reject);
+        socket.once("close", (hadError) => {
+            if (!hadError) resolve();
+        });
+        socket.end(payload);
+    });
+}
+
+function createSink(spec, options, host) {
+    const { kind } = spec;
+    if (kind === "influx" && spec.file) {
+        return {
+            label: `influx:${spec.file}`,
+            push: (families, timestampMs) =>
+                appendFile(
+                    spec.file,
+                    `${renderInfluxLines(families, timestampMs, host).join("\n")}\n`,
+                    "utf8",
+                ),
+        };
+    }
+    if (kind === "influx") {
+        return {
+            label: `influx:${new URL(spec.url).origin}`,
+            async push(families, timestampMs) {
+                const response = await fetch(spec.url, {
+                    method: "POST",
+                    headers: {
+                        "Content-Type": "text/plain; charset=utf-8",
+                        ...(options.influxToken
+                            ? { Authorization: `Token ${options.influxToken}` }
+                            : {}),
+                    },
+                    body: renderInfluxLines(families, timestampMs, host).join(
+                        "\n",
+                    ),
+                    signal: AbortSignal.timeout(SINK_TIMEOUT_MS),
+                });
+                if (!response.ok) {
+                    const detail = (await response.text()).trim().slice(0, 200);
+                    throw new Error(
+                        `HTTP ${response.status}${detail ? `: ${detail}` : ""}`,
+                    );
+                }
+            },
+        };
+    }
+    if (kind === "graphite") {
+        return {
+            label: `graphite:${spec.host}:${spec.port}`,
+            push: (families, timestampMs) =>
+                sendGraphite(
+                    spec.host,
+                    spec.port,
+                    `${renderGraphiteLines(families, timestampMs, host).join("\n")}\n`,
+                ),
+        };
+    }
+    const socket = createSocket(spec.host.includes(":") ? "udp6" : "udp4");
+    socket.unref();
+    socket.on("error", () => {
+        // Reported through the failed send instead.
+    });
+    return {
+        label: `statsd:${spec.host}:${spec.port}`,
+        async push(families) {
+            for (const packet of packStatsdLines(
+                renderStatsdLines(families, host),
+            )) {
+                await new Promise((resolve, reject) =>
+                    socket.send(packet, spec.port, spec.host, (error) =>
+                        error ? reject(error) : resolve(),
+                    ),
+                );
+            }
+        },
+        close: () => socket.close(),
+    };
+}
+
+// Every sink pushes on its own: a slow or unreachable one only logs and
+// skips ticks while its previous push is still pending, and never holds up
+// the JSON output or the other sinks.
+function createSinkPublisher(options) {
+    const host = hostname();
+    const sinks = options.sinks.map((value) => ({
+        ...createSink(parseSinkTarget(value), options, host),
+        pending: null,
+        skipped: 0,
+    }));
+
+    return {
+        get size() {
+            return sinks.length;
+        },
+        publish(families, timestampMs) {
+            for (const sink of sinks) {
+                if (sink.pending) {
+                    sink.skipped += 1;
+                    continue;
+                }
+                if (sink.skipped > 0) {
+                    console.error(
+                        `Sink ${sink.label}: skipped ${sink.skipped} ticks while the previous push was pending.`,
+                    );
+                    sink.skipped = 0;
+                }
+                sink.pending = Promise.resolve()
+                    .then(() => sink.push(families, timestampMs))
+                    .catch((error) => {
+                        console.error(
+                            `Sink ${sink.label} failed: ${error.message}`,
+                        );
+                    })
+                    .finally(() => {
+                        sink.pending = null;
+                    });
+            }
+        },
+        async close() {
+            await Promise.all(sinks.map((sink) => sink.pending));
+            for (const sink of sinks) sink.close?.();
+        },
+    };
+}
+
+function parseListenAddress(value) {
+    if (value.startsWith("unix:")) {
+        const socketPath = value.slice("unix:".length);
+        if (!socketPath) {
+            throw new Error(
+                `Invalid --listen address "${value}" (expected unix:<path>).`,
+            );
+        }
+        return { socketPath: path.resolve(process.cwd(), socketPath) };
+    }
+    const match = /^(?:\[([^\]]+)\]|([^:]*)):(\d+)$/.exec(value.trim());
+    const port = match ? Number(match[3]) : NaN;
+    if (!match || !Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(
+            `Invalid --listen address "${value}" (expected host:port).`,
+        );
+    }
+    return {
+        host: match[1] ?? (match[2] || "0.0.0.0"),
+        port,
+    };
+}
+
+const CORS_HEADERS = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, HEAD, OPTIONS",
+    "Access-Control-Allow-Headers": "If-None-Match, Last-Event-ID",
+    "Access-Control-Expose-Headers": "ETag",
+};
+
+const SSE_HEARTBEAT_MS = 15000;
+// An /events client that stopped reading is dropped once this much is
+// queued for it and the socket has not drained since the last write.
+const SSE_MAX_BUFFERED_BYTES = 1024 * 1024;
+
+async function startStatsServer(listenAddress) {
+    const { host, port, socketPath } = parseListenAddress(listenAddress);
+    const clients = new Set();
+    const backedUp = new Set();
+    let latest = null;
+    let tickId = 0;
+
+    function dropClient(client) {
+        clients.delete(client);
+        backedUp.delete(client);
+        client.destroy();
+    }
+
+    function sendEvent(client, message) {
+        if (
+            backedUp.has(client) &&
+            client.writableLength >= SSE_MAX_BUFFERED_BYTES
+        ) {
+            dropClient(client);
+            return;
+        }
+        if (client.write(message) || backedUp.has(client)) return;
+        backedUp.add(client);
+        client.once("drain", () => backedUp.delete(client));
+    }
+
+    function handleStats(req, res) {
+        if (!latest) {
+            res.writeHead(503, {
+                ...CORS_HEADERS,
+                "Content-Type": "text/plain; charset=utf-8",
+                "Retry-After": "1",
+            });
+            res.end("No payload captured yet.\n");
+            return;
+        }
+        const headers = {
+            ...CORS_HEADERS,
+            "Cache-Control": "no-cache",
+            ETag: latest.etag,
+        };
+        if (req.headers["if-none-match"] === latest.etag) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+        res.writeHead(200, {
+            ...headers,
+            "Content-Type": "application/json; charset=utf-8",
+            "Content-Length": latest.body.length,
+        });
+        res.end(req.method === "HEAD" ? undefined : latest.body);
+    }
+
+    function handleMetrics(req, res) {
+        // --public leaves the unredacted metrics out unless allowed.
+        if (latest && latest.metrics === null) {
+            res.writeHead(404, {
+                ...CORS_HEADERS,
+                "Content-Type": "text/plain; charset=utf-8",
+            });
+            res.end("Not found.\n");
+            return;
+        }
+        if (!latest) {
+            res.writeHead(503, {
+                ...CORS_HEADERS,
+                "Content-Type": "text/plain; charset=utf-8",
+                "Retry-After": "1",
+            });
+            res.end("No payload captured yet.\n");
+            return;
+        }
+        res.writeHead(200, {
+            ...CORS_HEADERS,
+            "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+            "Cache-Control": "no-cache",
+            "Content-Length": latest.metrics.length,
+        });
+        res.end(req.method === "HEAD" ? undefined : latest.metrics);
+    }
+
+    function handleEvents(req, res) {
+        res.writeHead(200, {
+            ...CORS_HEADERS,
+            "Content-Type": "text/event-stream; charset=utf-8",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            "X-Accel-Buffering": "no",
+        });
+        if (req.method === "HEAD") {
+            res.end();
+            return;
+        }
+        res.write("retry: 2000\n\n");
+        if (latest) {
+            res.write(`event: snapshot\ndata: ${latest.snapshot}\n\n`);
+        }
+        clients.add(res);
+        req.on("close", () => {
+            clients.delete(res);
+            backedUp.delete(res);
+        });
+    }
+
+    const server = createServer((req, res) => {
+        const { pathname } = new URL(req.url ?? "/", "http://localhost");
+        if (req.method === "OPTIONS") {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.writeHead(405, {
+                ...CORS_HEADERS,
+                Allow: "GET, HEAD, OPTIONS",
+            });
+            res.end();
+            return;
+        }
+        if (pathname === "/stats.json") {
+            handleStats(req, res);
+            return;
+        }
+        if (pathname === "/metrics") {
+            handleMetrics(req, res);
+            return;
+        }
+        if (pathname === "/events") {
+            handleEvents(req, res);
+            return;
+        }
+        res.writeHead(404, {
+            ...CORS_HEADERS,
+            "Content-Type": "text/plain; charset=utf-8",
+        });
+        res.end("Not found.\n");
+    });
+
+    // A socket left behind by a previous run would make listen() fail;
+    // anything else at that path is not ours to remove.
+    if (socketPath) {
+        const existing = await lstat(socketPath).catch(() => null);
+        if (existing?.isSocket()) await unlink(socketPath);
+    }
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        const onListening = () => {
+            server.off("error", reject);
+            resolve();
+        };
+        if (socketPath) server.listen(socketPath, onListening);
+        else server.listen(port, host, onListening);
+    });
+
+    const heartbeat = setInterval(() => {
+        for (const client of clients) {
+            sendEvent(client, ": keep-alive\n\n");
+        }
+    }, SSE_HEARTBEAT_MS);
+    heartbeat.unref();
+
+    const address = server.address();
+    const boundAddress =
+        address && typeof address === "object"
+            ? `http://${address.address}:${address.port}`
+            : `unix:${socketPath}`;
+    console.log(
+        `HTTP: serving /stats.json, /events and /metrics on ${boundAddress}`,
+    );
+
+    return {
+        // The snapshot event always carries the plain payload, like the
+        // tick updates; only /stats.json follows --encoding.
+        publish(payload, update, metricsText, { encoding = "json" } = {}) {
+            const snapshot = JSON.stringify(payload);
+            const served =
+                encoding === "compact"
+                    ? JSON.stringify(encodeCompactPayload(payload))
+                    : snapshot;
+            const body = Buffer.from(`${served}\n`, "utf8");
+            latest = {
+                snapshot,
+                body,
+                etag: `"${createHash("sha1").update(body).digest("base64url")}"`,
+                metrics:
+                    metricsText === null
+                        ? null
+                        : Buffer.from(metricsText, "utf8"),
+            };
+            if (!update) return;
+            tickId += 1;
+            const message = `id: ${tickId}\nevent: tick\ndata: ${JSON.stringify(update)}\n\n`;
+            for (const client of clients) {
+                sendEvent(client, message);
+            }
+        },
+        async close() {
+            clearInterval(heartbeat);
+            for (const client of clients) {
+                client.end();
+            }
+            clients.clear();
+            backedUp.clear();
+            await new Promise((resolve) => server.close(() => resolve()));
+        },
+    };
+}
+
+const AGGREGATE_FETCH_TIMEOUT_MS = 5000;
+
+// [id=]source, where source is an http(s) URL to another instance's
+// /stats.json, unix:<path> for one listening on a local socket, or the path
+// of its --out file. The id defaults to the URL host or the file name.
+function parseAggregateSource(value) {
+    const named = /^([\w.-]+)=(.+)$/.exec(value);
+    const target = named ? named[2] : value;
+    let source;
+    if (/^https?:\/\//.test(target)) {
+        const url = parseWebhookUrl(target);
+        source = { kind: "http", url: url.href, id: url.hostname };
+    } else if (target.startsWith("unix:")) {
+        const socketPath = path.resolve(
+            process.cwd(),
+            target.slice("unix:".length),
+        );
+        source = {
+            kind: "unix",
+            socketPath,
+            id: path.basename(socketPath, path.extname(socketPath)),
+        };
+    } else {
+        const filePath = path.resolve(process.cwd(), target);
+        source = {
+            kind: "file",
+            filePath,
+            id: path.basename(filePath, path.extname(filePath)),
+        };
+    }
+    const id = named ? named[1] : source.id;
+    // Hosts are keyed by id in a plain object.
+    if (id === "__proto__") {
+        throw new Error(
+            `"__proto__" cannot be a host id; name the source with <id>=<source>`,
+        );
+    }
+    return { ...source, id, label: target };
+}
+
+function requestUnixSocket(socketPath, requestPath) {
+    return new Promise((resolve, reject) => {
+        const req = httpRequest(
+            {
+                socketPath,
+                path: requestPath,
+                timeout: AGGREGATE_FETCH_TIMEOUT_MS,
+            },
+            (res) => {
+                let body = "";
+                res.setEncoding("utf8");
+                res.on("data", (chunk) => {
+                    body += chunk;
+                });
+                res.on("end", () => {
+                    if (res.statusCode !== 200) {
+                        reject(new Error(`HTTP ${res.statusCode}`));
+                    } else {
+                        resolve(body);
+                    }
+                });
+                res.on("error", reject);
+            },
+        );
+        req.on("timeout", () =>
+            req.destroy(
+                new Error(`timed out after ${AGGREGATE_FETCH_TIMEOUT_MS}ms`),
+            ),
+        );
+        req.on("error", reject);
+        req.end();
+    });
+}
+
+// Returns the payload and, for files, when it was last written, which
+// stands in for sampledAt on payloads from versions that lack it. Sources
+// running --encoding=compact are expanded so they summarize like the rest.
+async function fetchAggregateSource(source) {
+    const decode = (payload) =>
+        payload?.encoding === "compact"
+            ? decodeCompactPayload(payload)
+            : payload;
+    if (source.kind === "http") {
+        const response = await fetch(source.url, {
+            signal: AbortSignal.timeout(AGGREGATE_FETCH_TIMEOUT_MS),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return { payload: decode(await response.json()), modifiedMs: null };
+    }
+    if (source.kind === "unix") {
+        const body = await requestUnixSocket(source.socketPath, "/stats.json");
+        return { payload: decode(JSON.parse(body)), modifiedMs: null };
+    }
+    const [raw, info] = await Promise.all([
+        readFile(source.filePath, "utf8"),
+        stat(source.filePath),
+    ]);
+    return { payload: decode(JSON.parse(raw)), modifiedMs: info.mtimeMs };
+}
+
+// Other instances may run older or newer versions, so their payloads are
+// read defensively rather than trusted to match this schema.
+function summarizeFleet(hosts) {
+    const counts = { total: 0, ok: 0, stale: 0, unavailable: 0 };
+    let maxCpuTempC = null;
+    let maxCpuUsagePct = null;
+    let lowestUpsChargePct = null;
+    let downloadKibps = 0;
+    let uploadKibps = 0;
+    const higher = (best, host, value) =>
+        Number.isFinite(value) && (!best || value > best.value)
+            ? { host, value }
+            : best;
+
+    for (const [host, entry] of Object.entries(hosts)) {
+        counts.total += 1;
+        counts[entry.status] += 1;
+        if (entry.status !== "ok") continue;
+        const { payload } = entry;
+        const latest = payload.updates?.[payload.updates.length - 1];
+        if (latest) {
+            // 0C means the instance found no CPU probe.
+            if (latest.cpu?.tempC > 0) {
+                maxCpuTempC = higher(maxCpuTempC, host, latest.cpu.tempC);
+            }
+            maxCpuUsagePct = higher(
+                maxCpuUsagePct,
+                host,
+                latest.cpu?.totalUsagePct,
+            );
+            downloadKibps += latest.network?.downloadKibps || 0;
+            uploadKibps += latest.network?.uploadKibps || 0;
+        }
+        for (const ups of payload.upsDevices ??
+            (payload.ups ? [payload.ups] : [])) {
+            const charge = ups.batteryChargePct;
+            if (
+                Number.isFinite(charge) &&
+                (!lowestUpsChargePct || charge < lowestUpsChargePct.value)
+            ) {
+                // Single-target versions did not name their UPS.
+                lowestUpsChargePct = {
+                    host,
+                    ups: ups.name ?? ups.server ?? "ups",
+                    value: charge,
+                };
+            }
+        }
+    }
+
+    return {
+        hosts: counts,
+        maxCpuTempC,
+        maxCpuUsagePct,
+        totalDownloadKibps: round2(downloadKibps),
+        totalUploadKibps: round2(uploadKibps),
+        lowestUpsChargePct,
+    };
+}
+
+function buildAggregate(entries, staleAfterSec, nowMs) {
+    const hosts = {};
+    for (const entry of entries) {
+        const ageSec =
+            entry.sampledAtMs == null
+                ? null
+                : Math.max(0, Math.round((nowMs - entry.sampledAtMs) / 1000));
+        hosts[entry.source.id] = {
+            source: entry.source.label,
+            status: !entry.payload
+                ? "unavailable"
+                : ageSec > staleAfterSec
+                  ? "stale"
+                  : "ok",
+            sampledAt:
+                entry.sampledAtMs == null
+                    ? null
+                    : new Date(entry.sampledAtMs).toISOString(),
+            ageSec,
+            error: entry.error,
+            payload: entry.payload,
+        };
+    }
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        generatedAt: new Date(nowMs).toISOString(),
+        fleet: summarizeFleet(hosts),
+        hosts,
+    };
+}
+
+function collectAggregateMetricFamilies(aggregate) {
+    const up = metricFamily(
+        "webtop_aggregate_host_up",
+        "gauge",
+        "Whether the host's payload is fresh (1) or stale or unavailable (0).",
+    );
+    const age = metricFamily(
+        "webtop_aggregate_host_age_seconds",
+        "gauge",
+        "Age of the newest sample in the host's payload.",
+    );
+    for (const [host, entry] of Object.entries(aggregate.hosts)) {
+        addMetricSample(up, { host }, entry.status === "ok" ? 1 : 0);
+        addMetricSample(age, { host }, entry.ageSec);
+    }
+    return [up, age].filter((family) => family.samples.length > 0);
+}
+
+// Sources that are still configured keep their last payload, so a reload
+// does not mark every host unavailable until the next read.
+function openAggregateEntries(values, previousEntries = []) {
+    const sources = values.map(parseAggregateSource);
+    const seen = new Set();
+    for (const { id } of sources) {
+        if (seen.has(id)) {
+            throw new Error(
+                `Two --aggregate sources share the host id "${id}"; name them with <id>=<source>.`,
+            );
+        }
+        seen.add(id);
+    }
+    return sources.map(
+        (source) =>
+            previousEntries.find(
+                (entry) =>
+                    entry.source.id === source.id &&
+                    entry.source.label === source.label,
+            ) ?? { source, payload: null, sampledAtMs: null, error: null },
+    );
+}
+
+async function runAggregator(initialOptions, outPath) {
+    let options = initialOptions;
+    let entries = openAggregateEntries(options.aggregate);
+    const server = options.listen
+        ? await startStatsServer(options.listen)
+        : null;
+
+    // A failed fetch keeps the host's last payload, which then goes stale.
+    const poll = async () => {
+        const polled = entries;
+        await Promise.all(
+            polled.map(async (entry) => {
+                try {
+                    const { payload, modifiedMs } = await fetchAggregateSource(
+                        entry.source,
+                    );
+                    entry.payload = payload;
+                    entry.sampledAtMs =
+                        Date.parse(payload?.sampledAt) ||
+                        (modifiedMs ?? Date.now());
+                    entry.error = null;
+                } catch (error) {
+                    const message =
+                        error instanceof SyntaxError
+                            ? `invalid JSON: ${error.message}`
+                            : error.message;
+                    if (message !== entry.error) {
+                        console.error(
+                            `Aggregate ${entry.source.id} (${entry.source.label}): ${message}`,
+                        );
+                    }
+                    entry.error = message;
+                }
+            }),
+        );
+        const aggregate = assertValidPayload(
+            buildAggregate(polled, options.staleAfterSec, Date.now()),
+            AGGREGATE_SCHEMA,
+        );
+        const metricsText = renderPrometheus(
+            collectAggregateMetricFamilies(aggregate),
+        );
+        server?.publish(aggregate, aggregate.fleet, metricsText);
+        if (outPath) {
+            await writeOutput(
+                outPath,
+                options.format === "prometheus"
+                    ? metricsText
+                    : `${JSON.stringify(aggregate, null, 4)}\n`,
+                options.compress,
+            );
+        }
+        return aggregate;
+    };
+
+    const logSources = () =>
+        console.log(
+            `Aggregating ${entries.length} hosts${options.daemon ? ` every ${options.intervalMs}ms` : ""}${outPath ? ` -> ${outPath}` : ""}`,
+        );
+    logSources();
+
+    if (!options.daemon) {
+        const { fleet } = await poll();
+        console.log(
+            `Done: ok=${fleet.hosts.ok} stale=${fleet.hosts.stale} unavailable=${fleet.hosts.unavailable}${outPath ? ` -> ${outPath}` : ""}`,
+        );
+        return;
+    }
+
+    let stopSignal = "";
+    let wake = null;
+    const onStop = (signal) => {
+        stopSignal = signal;
+        wake?.();
+    };
+    // Like the collector daemon, SIGHUP re-reads the config; hosts whose
+    // source did not change keep their state.
+    const onReload = () => {
+        console.log("Received SIGHUP, reloading options...");
+        parseArgs(process.argv.slice(2))
+            .then((resolved) => {
+                if (resolved.options.aggregate.length === 0) {
+                    throw new Error(
+                        "--aggregate is no longer set; restart to sample this host instead",
+                    );
+                }
+                const next = {
+                    ...resolved.options,
+                    out: initialOptions.out,
+                    listen: initialOptions.listen,
+                };
+                const nextEntries = openAggregateEntries(
+                    next.aggregate,
+                    entries,
+                );
+                options = next;
+                entries = nextEntries;
+                logResolvedOptions(
+                    options,
+                    resolved.sources,
+                    resolved.configPath,
+                );
+                logSources();
+            })
+            .catch((error) => {
+                console.error(
+                    `Reload failed, keeping previous options: ${error instanceof Error ? error.message : String(error)}`,
+                );
+            });
+    };
+    process.on("SIGTERM", onStop);
+    process.on("SIGINT", onStop);
+    process.on("SIGHUP", onReload);
+    try {
+        while (!stopSignal) {
+            try {
+                await poll();
+            } catch (error) {
+                console.error(
+                    `Aggregation failed: ${error instanceof Error ? error.message : String(error)}`,
+                );
+            }
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, options.intervalMs);
+                wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+                if (stopSignal) wake();
+            });
+        }
+        console.log(`Received ${stopSignal}, exiting...`);
+    } finally {
+        await server?.close();
+        process.off("SIGTERM", onStop);
+        process.off("SIGINT", onStop);
+        process.off("SIGHUP", onReload);
+    }
+}
+
+async function runDaemon(initialOptions, outPath) {
+    let options = initialOptions;
+    let stopSignal = "";
+    let ticksSinceWrite = 0;
+    let ticksSinceStatic = 0;
+
+    const collector = await createCollector(options);
+    logCpuTempReader(collector.cpuTempReader, options);
+    console.log("Reading static snapshot...");
+    await collector.start();
+    logStaticState(collector.staticState, options);
+
+    const server = options.listen
+        ? await startStatsServer(options.listen)
+        : null;
+    let sinks = createSinkPublisher(options);
+    let redactor = createRedactor(options);
+
+    const onStop = (signal) => {
+        stopSignal = signal;
+        collector.close();
+    };
+    const reloadOptions = async () => {
+        console.log("Received SIGHUP, reloading options...");
+        let resolved;
+        try {
+            resolved = await parseArgs(process.argv.slice(2));
+        } catch (error) {
+            console.error(
+                `Reload failed, keeping previous options: ${error instanceof Error ? error.message : String(error)}`,
+            );
+            return;
+        }
+        const next = {
+            ...resolved.options,
+            out: initialOptions.out,
+            listen: initialOptions.listen,
+        };
+        // Nothing the loop uses is swapped until every new piece is built.
+        let nextSinks = null;
+        let nextRedactor;
+        try {
+            nextRedactor = createRedactor(next);
+            nextSinks = createSinkPublisher(next);
+            await collector.reload(next);
+        } catch (error) {
+            await nextSinks?.close();
+            console.error(
+                `Reload failed, keeping previous options: ${error instanceof Error ? error.message : String(error)}`,
+            );
+            return;
+        }
+        options = next;
+        logResolvedOptions(options, resolved.sources, resolved.configPath);
+        await sinks.close();
+        sinks = nextSinks;
+        redactor = nextRedactor;
+        logCpuTempReader(collector.cpuTempReader, options);
+        logStaticState(collector.staticState, options);
+        ticksSinceStatic = 0;
+    };
+    const onReload = () => {
+        reloadOptions().catch((error) => {
+            console.error(
+                `Reload failed: ${error instanceof Error ? error.message : String(error)}`,
+            );
+        });
+    };
+    process.on("SIGTERM", onStop);
+    process.on("SIGINT", onStop);
+    process.on("SIGHUP", onReload);
+
+    const flush = async () => {
+        ticksSinceWrite = 0;
+        if (!outPath) return;
+        await writeOutput(
+            outPath,
+            await renderOutput(options, collector, redactor),
+            options.compress,
+        );
+    };
+
+    console.log(
+        `Daemon: sampling every ${options.intervalMs}ms, keeping ${options.updates} ticks${outPath ? `, writing every ${options.writeEvery} ticks -> ${outPath}` : ""}`,
+    );
+
+    let tickCount = 0;
+    try {
+        while (!stopSignal) {
+            try {
+                for await (const update of collector) {
+                    tickCount += 1;
+                    ticksSinceWrite += 1;
+                    ticksSinceStatic += 1;
+
+                    // Static data used to be re-read on every timer run, so keep
+                    // that cadence: once per full window of fresh ticks.
+                    if (ticksSinceStatic >= options.updates) {
+                        await collector.refreshStatic();
+                        ticksSinceStatic = 0;
+                    }
+                    if (server || sinks.size > 0) {
+                        const families = await collector.metrics();
+                        sinks.publish(
+                            families,
+                            collector.lastSample.timestampMs,
+                        );
+                        if (server) {
+                            let payload = await collector.snapshot();
+                            if (redactor) payload = redactor.payload(payload);
+                            server.publish(
+                                payload,
+                                redactor ? redactor.update(update) : update,
+                                redactor && !redactor.metricsAllowed
+                                    ? null
+                                    : renderPrometheus(families),
+                                { encoding: options.encoding },
+                            );
+                        }
+                    }
+                    if (ticksSinceWrite >= options.writeEvery) {
+                        await flush();
+                    }
+                }
+            } catch (error) {
+                console.error(
+                    `Daemon tick failed: ${error instanceof Error ? error.message : String(error)}`,
+                );
+                if (!stopSignal) await sleep(options.intervalMs);
+            }
+        }
+
+        console.log(`Received ${stopSignal}, flushing and exiting...`);
+        if (tickCount > 0) {
+            await collector.flushHistory();
+            await flush();
+        }
+    } finally {
+        await server?.close();
+        await sinks.close();
+        process.off("SIGTERM", onStop);
+        process.off("SIGINT", onStop);
+        process.off("SIGHUP", onReload);
+    }
+
+    const { updates } = await collector.snapshot();
+    console.log(
+        `Daemon stopped: last ${updates.length} ticks${outPath ? ` -> ${outPath}` : ""}`,
+    );
+}
+
+// Replays drive the collector the way the recorded run did, including the
+// daemon's static refresh cadence, then write a single payload.
+async function runReplay(options, outPath) {
+    const collector = await createCollector(options);
+    const { recording } = collector;
+    const replayed = collector.options;
+    console.log(
+        `Replaying ${recording.ticks} ticks recorded at ${recording.recordedAt} from ${recording.path}`,
+    );
+    logCpuTempReader(collector.cpuTempReader, replayed);
+    await collector.start();
+    logStaticState(collector.staticState, replayed);
+
+    let ticksSinceStatic = 0;
+    for (let index = 1; index <= recording.ticks; index += 1) {
+        const update = await collector.sample();
+        const { tempC, tempSource, iface } = collector.lastSample;
+        console.log(
+            `tick ${index}/${recording.ticks}: cpu=${update.cpu.totalUsagePct}% temp=${tempC.toFixed(1)}C (${tempSource}) iface=${iface}`,
+        );
+        ticksSinceStatic += 1;
+        if (replayed.daemon && ticksSinceStatic >= replayed.updates) {
+            await collector.refreshStatic();
+            ticksSinceStatic = 0;
+        }
+    }
+    collector.close();
+
+    // Readers that tolerate a missing file would quietly produce a different
+    // payload, so any read the recording cannot answer fails the replay.
+    const misses = recording.misses();
+    if (misses.length > 0) {
+        throw new Error(
+            `${recording.path} does not cover this replay (${misses.length} missing reads, first: ${misses[0]}). Nothing was written.`,
+        );
+    }
+    await collector.flushHistory();
+
+    await writeOutput(
+        outPath,
+        await renderOutput(options, collector, createRedactor(options)),
+        options.compress,
+    );
+    console.log(`Done: replayed ${recording.ticks} ticks -> ${outPath}`);
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { options, sources, configPath, help, printSchema } =
+        await parseArgs(argv);
+
+    if (help) {
+        usage();
+        return;
+    }
+    if (printSchema) {
+        console.log(JSON.stringify(PAYLOAD_SCHEMA, null, 4));
+        return;
+    }
+
+    const aggregating = options.aggregate.length > 0;
+    if (aggregating && options.replay) {
+        throw new Error("--aggregate cannot be combined with --replay.");
+    }
+
+    if (process.platform !== "linux" && !options.replay && !aggregating) {
+        throw new Error("This script requires Linux (/proc and /sys).");
+    }
+
+    if (!options.out && (!options.listen || options.replay)) {
+        throw new Error("Missing required option: --out=<path>");
+    }
+
+    if (
+        options.public &&
+        options.format === "prometheus" &&
+        !options.publicSections.includes("metrics")
+    ) {
+        throw new Error(
+            "--public redacts JSON only; add metrics to --public-sections to write unredacted Prometheus text.",
+        );
+    }
+
+    logResolvedOptions(options, sources, configPath);
+    const outPath = options.out ? path.resolve(process.cwd(), options.out) : "";
+
+    if (aggregating) {
+        await runAggregator(options, outPath);
+        return;
+    }
+
+    if (options.replay) {
+        await runReplay(options, outPath);
+        return;
+    }
+
+    if (options.daemon) {
+        await runDaemon(options, outPath);
+        return;
+    }
+
+    const collector = await createCollector(options);
+    logCpuTempReader(collector.cpuTempReader, options);
+
+    console.log("Reading static snapshot...");
+    await collector.start();
+    logStaticState(collector.staticState, options);
+
+    console.log(
+        `Capturing ${options.updates} updates every ${options.intervalMs}ms...`,
+    );
+    const sinks = createSinkPublisher(options);
+    const updates = await collectUpdates(
+        collector,
+        options.updates,
+        async (update, index) => {
+            const { tempC, tempSource, iface } = collector.lastSample;
+            console.log(
+                `tick ${index}/${options.updates}: cpu=${update.cpu.totalUsagePct}% temp=${tempC.toFixed(1)}C net=${update.network.downloadKibps}/${update.network.uploadKibps} kibps iface=${iface}`,
+            );
+            if (tempC === 0) {
+                console.log(`  temp source unresolved (${tempSource}).`);
+            }
+            if (sinks.size > 0) {
+                sinks.publish(
+                    await collector.metrics(),
+                    collector.lastSample.timestampMs,
+                );
+            }
+        },
+    );
+    collector.close();
+    await collector.flushHistory();
+    if (collector.cpuTempReader.sensorsAvailable()) {
+        console.log(
+            "CPU temp source: using sensors fallback when sysfs probes are unavailable.",
+        );
+    }
+
+    await writeOutput(
+        outPath,
+        await renderOutput(options, collector, createRedactor(options)),
+        options.compress,
+    );
+    await sinks.close();
+
+    console.log(
+        `Done: captured ${updates.length} updates (${updates[0]?.cpu.perThreadPct.length ?? 0} threads) -> ${outPath}`,
+    );
+}
+
+function isInvokedDirectly() {
+    if (!process.argv[1]) return false;
+    try {
+        return (
+            realpathSync(process.argv[1]) ===
+            realpathSync(fileURLToPath(import.meta.url))
+        );
+    } catch {
+        return false;
+    }
+}
+
+if (isInvokedDirectly()) {
+    main().catch((error) => {
+        console.error(error instanceof Error ? error.message : String(error));
+        process.exitCode = 1;
+    });
+}
+
+export {
+    createCollector,
+    collectUpdates,
+    PAYLOAD_SCHEMA,
+    AGGREGATE_SCHEMA,
+    encodeCompactPayload,
+    decodeCompactPayload,
+    SCHEMA_VERSION,
+    validateSchema,
+    createCpuTempReader,
+    resolveCollectorOptions,
+    collectMetricFamilies,
+    renderPrometheus,
+    parseMeminfo,
+    parseLoadAvg,
+    parseCpuStats,
+    computeCpuUsagePct,
+    parseNetDev,
+    parseDefaultRouteIface,
+    parseDiskStats,
+    parsePressure,
+    parseSensorsOutput,
+    parseUpscOutput,
+    startStatsServer,
+    main,
+};